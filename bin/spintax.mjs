@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+import { main } from "../src/cli.mjs";
+
+// Output piped into a command that stops reading early, like `head`, is fine
+process.stdout.on("error", (error) => {
+  if (error.code !== "EPIPE") throw error;
+  process.exit(0);
+});
+
+process.exitCode = await main(process.argv.slice(2));
@@ -75,7 +75,7 @@ console.log("\nDEMO 9: Parse function with JSON-like structure");
 console.log("=========================================");
 
 const parsedJson = parse(
-  '{"type": "{basic|premium}", "level": {1,3}, "active": {true|false}}'
+  String.raw`\{"type": "{basic|premium}", "level": {1,3}, "active": {true|false}\}`
 );
 
 for (const item of parsedJson) {
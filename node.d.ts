@@ -0,0 +1,51 @@
+/**
+ * Type definitions for spintax/node
+ * Node.js adapters for spintax
+ */
+
+import type { Readable } from "node:stream";
+
+import type {
+  ChunkOptions,
+  IncludedDocument,
+  SpintaxOptions,
+} from "./types.js";
+
+/**
+ * Exposes the values of an iterable as a Node.js Readable stream of chunks,
+ * generating them only as the stream is read. It is a byte stream with a
+ * separator, and an object mode stream without one
+ * @example
+ * toNodeReadable(parse("{a|b}{1,1000}"), { separator: "\n" }).pipe(fs.createWriteStream("out.txt"))
+ */
+export function toNodeReadable(
+  iterable: Iterable<any> | AsyncIterable<any>,
+  options?: ChunkOptions
+): Readable;
+
+/**
+ * Reads included template documents from files, for the `include` option of `fromDocument`.
+ * Paths are relative to the including document, or to the working directory
+ * @example
+ * fromDocument(readFileSync("shirts.spin", "utf8"), { include: includeFile, path: "shirts.spin" })
+ */
+export function includeFile(path: string, from?: string): IncludedDocument;
+
+/**
+ * Expands a template across worker threads, in slices of `sliceSize` positions.
+ * Options are copied to the workers, so they can't hold functions
+ * @example
+ * for await (const text of expandParallel("{1,1000}-{1,1000}-{1,50}")) {}
+ * expandParallel(template, { ordered: false, workers: 4 }) // Faster, in no particular order
+ */
+export function expandParallel(
+  template: string,
+  options?: SpintaxOptions & {
+    /** Number of worker threads (default: one per core) */
+    workers?: number;
+    /** Keep the order of `parse`, instead of yielding each slice as soon as it is expanded (default: true) */
+    ordered?: boolean;
+    /** Number of positions in each slice (default: 10000) */
+    sliceSize?: number;
+  }
+): AsyncGenerator<string>;
@@ -0,0 +1,437 @@
+/**
+ * Command-line interface for spintax
+ *
+ * Wraps the library's exports in subcommands, so templates can be used
+ * from shell scripts. Run `spintax --help` for usage.
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import {
+  parse,
+  count,
+  choose,
+  parseToAst,
+  stringify,
+  fromDocument,
+  validate,
+} from "./index.mjs";
+import { includeFile } from "./node.mjs";
+
+const USAGE = `Usage: spintax <command> [options] [template...]
+
+Commands:
+  expand     Print every combination of the templates
+  count      Print the number of combinations of each template
+  pick       Print combinations picked at random
+  validate   Check that the templates are valid
+
+Templates are read from the arguments, from the files given with --file,
+or from stdin when there are neither. With --document, they are template
+documents, with comments, definitions and includes.
+
+Options:
+  -f, --file <path>                Read a template from a file (repeatable)
+  -d, --document                   Read the templates as template documents
+  -l, --lexicon <path>             Read lists of values for {#name} references from a JSON file
+  -o, --format <format>            Output format: plain, json, ndjson or csv (default: plain)
+  -n, --n <count>                  Number of combinations to pick (default: 1)
+  -s, --seed <seed>                Seed for picking, the same seed always gives the same picks
+  -u, --unique                     Leave out combinations already printed, for expand
+      --pattern-start <text>       Pattern start delimiter (default: {)
+      --pattern-end <text>         Pattern end delimiter (default: })
+      --separator-range <text>     Separator for range patterns (default: ,)
+      --separator-choices <text>   Separator for choices patterns (default: |)
+      --back-reference-marker <text>
+                                   Marker for back references (default: $)
+      --escape-character <text>    Escape character (default: \\)
+      --weight-marker <text>       Marker for option weights, like : (default: none)
+      --name-marker <text>         Marker for pattern names (default: =)
+      --optional-marker <text>     Marker for optional patterns (default: ?)
+      --exclusion-marker <text>    Marker for exclusions (default: !)
+      --combination-marker <text>  Marker for unordered picks (default: *)
+      --permutation-marker <text>  Marker for ordered picks (default: !)
+      --lexicon-marker <text>      Marker for lexicon references (default: #)
+      --joiner <text>              Text between picked options (default: ", ")
+  -h, --help                       Show this help
+  -v, --version                    Show the version
+
+With --format csv, expand and pick write the index of the value of each top-level
+pattern as a column, headed by the pattern's name or position.
+`;
+
+/**
+ * Template options that can be set with a flag, the flag being the kebab-cased name
+ * @private
+ */
+const TEMPLATE_OPTIONS = [
+  "patternStart",
+  "patternEnd",
+  "separatorRange",
+  "separatorChoices",
+  "backReferenceMarker",
+  "escapeCharacter",
+  "weightMarker",
+  "nameMarker",
+  "optionalMarker",
+  "exclusionMarker",
+  "combinationMarker",
+  "permutationMarker",
+  "lexiconMarker",
+  "joiner",
+];
+
+const toFlag = (name) => name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+const FLAGS = {
+  file: { type: "string", short: "f", multiple: true, default: [] },
+  document: { type: "boolean", short: "d", default: false },
+  lexicon: { type: "string", short: "l" },
+  format: { type: "string", short: "o", default: "plain" },
+  n: { type: "string", short: "n", default: "1" },
+  seed: { type: "string", short: "s" },
+  unique: { type: "boolean", short: "u", default: false },
+  help: { type: "boolean", short: "h", default: false },
+  version: { type: "boolean", short: "v", default: false },
+  ...Object.fromEntries(
+    TEMPLATE_OPTIONS.map((name) => [toFlag(name), { type: "string" }])
+  ),
+};
+
+/**
+ * Error for invalid command-line usage
+ * @private
+ */
+class UsageError extends Error {
+  name = "UsageError";
+}
+
+/**
+ * Writes text to a stream, waiting for it to drain when its buffer is full
+ * @param {import("node:stream").Writable} stream - The stream to write to
+ * @param {string} text - The text to write
+ * @returns {Promise<void>|undefined}
+ * @private
+ */
+function write(stream, text) {
+  if (stream.write(text)) return undefined;
+  return new Promise((resolve) => stream.once("drain", resolve));
+}
+
+/**
+ * Reads a whole stream as text
+ * @param {AsyncIterable<Buffer|string>} stream - The stream to read
+ * @returns {Promise<string>}
+ * @private
+ */
+async function readText(stream) {
+  const parts = [];
+  for await (const part of stream) parts.push(Buffer.from(part));
+  return Buffer.concat(parts).toString("utf8");
+}
+
+// A template file or stdin usually ends with a newline that isn't part of the template
+const trimNewline = (text) => text.replace(/\r?\n$/, "");
+
+/**
+ * Reads the templates to work on, each with a label naming where it came from,
+ * and the path of the file it came from
+ * @param {Array<string>} positionals - Templates given as arguments
+ * @param {Array<string>} files - Paths of template files
+ * @param {AsyncIterable<Buffer|string>} stdin - Stream read when there are no other templates
+ * @returns {Promise<Array<{label: string, template: string, path?: string}>>}
+ * @private
+ */
+async function readTemplates(positionals, files, stdin) {
+  const templates = positionals.map((template, i) => ({
+    label: `argument ${i + 1}`,
+    template,
+  }));
+  for (const path of files) {
+    const template = trimNewline(await readFile(path, "utf8"));
+    templates.push({ label: path, template, path });
+  }
+  if (templates.length === 0) {
+    templates.push({
+      label: "stdin",
+      template: trimNewline(await readText(stdin)),
+    });
+  }
+  return templates;
+}
+
+// JSON has no BigInt, so huge counts and indices are written as strings
+const toJson = (record) =>
+  JSON.stringify(record, (_, value) =>
+    typeof value === "bigint" ? String(value) : value
+  );
+
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Output formats, each creating a writer for rows
+ * A row has the `record` written as JSON, its `plain` text, and its CSV `columns` and `cells`
+ * @private
+ */
+const FORMATS = {
+  plain: (out) => ({
+    row: ({ plain }) => write(out, `${plain}\n`),
+    end() {},
+  }),
+  ndjson: (out) => ({
+    row: ({ record }) => write(out, `${toJson(record)}\n`),
+    end() {},
+  }),
+  json: (out) => {
+    let first = true;
+    return {
+      row({ record }) {
+        const text = `${first ? "[\n" : ",\n"}  ${toJson(record)}`;
+        first = false;
+        return write(out, text);
+      },
+      end: () => write(out, first ? "[]\n" : "\n]\n"),
+    };
+  },
+  csv: (out) => {
+    let header;
+    return {
+      // The header is written again when the columns change between templates
+      row({ columns, cells }) {
+        const line = `${cells.map(csvField).join(",")}\n`;
+        const next = `${columns.map(csvField).join(",")}\n`;
+        if (next === header) return write(out, line);
+        header = next;
+        return write(out, header + line);
+      },
+      end() {},
+    };
+  },
+};
+
+/**
+ * Names the columns for the top-level patterns of a template, the ones `choose` takes an index for
+ * @param {string} template - The template
+ * @param {Object} options - Options for pattern parsing
+ * @returns {Array<string>} The name of each pattern, or its position
+ * @private
+ */
+const columnsOf = (template, options) =>
+  parseToAst(template, options)
+    .nodes.filter(({ type }) =>
+      ["choice", "range", "pick", "lexicon"].includes(type)
+    )
+    .map((node, i) => node.name ?? String(i));
+
+/**
+ * Gets the template of an input, turning template documents into templates
+ * Included documents are read from files relative to the input's file
+ * @param {{template: string, path?: string}} input - The input
+ * @param {Object} options - Options for pattern parsing
+ * @param {Object} flags - The command-line flags
+ * @returns {string} The template
+ * @private
+ */
+const templateOf = ({ template, path }, options, flags) =>
+  flags.document
+    ? fromDocument(template, { ...options, include: includeFile, path })
+    : template;
+
+const textRow = (text) => ({
+  record: { text },
+  plain: text,
+  columns: ["text"],
+  cells: [text],
+});
+
+/**
+ * The subcommands, each writing the rows for one template
+ * and returning false if the template is invalid
+ * @private
+ */
+const COMMANDS = {
+  async expand(input, options, flags, writer) {
+    const template = templateOf(input, options, flags);
+    const texts = parse(template, { ...options, unique: flags.unique });
+    if (flags.format === "plain") {
+      for (const text of texts) await writer.row(textRow(text));
+      return true;
+    }
+
+    const columns = ["text", ...columnsOf(template, options)];
+    for (const { text, choices } of texts.entries()) {
+      await writer.row({
+        record: { text, choices },
+        plain: text,
+        columns,
+        cells: [text, ...choices],
+      });
+    }
+    return true;
+  },
+
+  async count(input, options, flags, writer) {
+    const { label } = input;
+    const total = count(templateOf(input, options, flags), options);
+    await writer.row({
+      record: { input: label, count: total },
+      plain: String(total),
+      columns: ["input", "count"],
+      cells: [label, total],
+    });
+    return true;
+  },
+
+  async pick(input, options, flags, writer) {
+    const n = Number(flags.n);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new UsageError(`--n must be a whole number, got "${flags.n}"`);
+    }
+
+    // Numeric seeds pick the same as passing the number to `choose`
+    const seed = /^-?\d+$/.test(flags.seed) ? Number(flags.seed) : flags.seed;
+    const template = templateOf(input, options, flags);
+    if (flags.format === "plain") {
+      const picker = choose(template, { ...options, seed });
+      for (let i = 0; i < n; i++) await writer.row(textRow(picker()));
+      return true;
+    }
+
+    const picker = choose(template, { ...options, seed, detailed: true });
+    const columns = ["text", ...columnsOf(template, options)];
+    for (let i = 0; i < n; i++) {
+      const { text, choices } = picker();
+      await writer.row({
+        record: { text, choices },
+        plain: text,
+        columns,
+        cells: [text, ...choices],
+      });
+    }
+    return true;
+  },
+
+  async validate(input, options, flags, writer) {
+    const { label } = input;
+    let diagnostics;
+    try {
+      diagnostics = validate(templateOf(input, options, flags), options);
+    } catch (error) {
+      // Documents that can't be read have no positions to point at
+      diagnostics = [{ severity: "error", message: error.message }];
+    }
+    const valid = diagnostics.every(({ severity }) => severity !== "error");
+    // Like compiler messages: "file:line:column: severity code: message"
+    const position = ({ line, column }) => (line ? `${line}:${column}:` : "");
+    const describe = ({ code, severity, message }) =>
+      `${severity}${code ? ` ${code}` : ""}: ${message}`;
+    await writer.row({
+      record: { input: label, valid, diagnostics },
+      plain:
+        diagnostics.length === 0
+          ? `${label}: ok`
+          : diagnostics
+              .map((d) => `${label}:${position(d)} ${describe(d)}`)
+              .join("\n"),
+      columns: ["input", "valid", "diagnostics"],
+      cells: [
+        label,
+        valid,
+        diagnostics
+          .map((d) => `${position(d)} ${describe(d)}`.trim())
+          .join("; "),
+      ],
+    });
+    return valid;
+  },
+};
+
+/**
+ * Runs the command-line interface
+ * @param {Array<string>} args - The command-line arguments, without the node executable and script
+ * @param {Object} [io] - Streams to use instead of the process's
+ * @param {AsyncIterable<Buffer|string>} [io.stdin] - Where templates are read from if not given otherwise
+ * @param {import("node:stream").Writable} [io.stdout] - Where output is written to
+ * @param {import("node:stream").Writable} [io.stderr] - Where errors are written to
+ * @returns {Promise<number>} The exit code: 0 on success, 1 for invalid templates
+ * or other errors, and 2 for invalid usage
+ * @example
+ * process.exitCode = await main(process.argv.slice(2))
+ */
+async function main(
+  args,
+  {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {}
+) {
+  try {
+    const { values: flags, positionals } = parseArgs({
+      args,
+      options: FLAGS,
+      allowPositionals: true,
+    });
+
+    if (flags.help) {
+      await write(stdout, USAGE);
+      return 0;
+    }
+    if (flags.version) {
+      const pkg = new URL("../package.json", import.meta.url);
+      await write(
+        stdout,
+        `${JSON.parse(await readFile(pkg, "utf8")).version}\n`
+      );
+      return 0;
+    }
+
+    const [name, ...templateArgs] = positionals;
+    if (!Object.hasOwn(COMMANDS, name ?? "")) {
+      throw new UsageError(
+        name === undefined ? "Missing command" : `Unknown command "${name}"`
+      );
+    }
+    if (!Object.hasOwn(FORMATS, flags.format)) {
+      throw new UsageError(`Unknown format "${flags.format}"`);
+    }
+
+    const options = {};
+    for (const option of TEMPLATE_OPTIONS) {
+      if (flags[toFlag(option)] !== undefined) {
+        options[option] = flags[toFlag(option)];
+      }
+    }
+    if (flags.lexicon !== undefined) {
+      options.lexicon = JSON.parse(await readFile(flags.lexicon, "utf8"));
+    }
+
+    const inputs = await readTemplates(templateArgs, flags.file, stdin);
+    const writer = FORMATS[flags.format](stdout);
+    let valid = true;
+    for (const input of inputs) {
+      valid = (await COMMANDS[name](input, options, flags, writer)) && valid;
+    }
+    await writer.end();
+    return valid ? 0 : 1;
+  } catch (error) {
+    if (
+      error instanceof UsageError ||
+      error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+      await write(
+        stderr,
+        `spintax: ${error.message}\nRun "spintax --help" for usage.\n`
+      );
+      return 2;
+    }
+    await write(stderr, `spintax: ${error.message}\n`);
+    return 1;
+  }
+}
+
+export { main };
@@ -37,6 +37,23 @@ class ChoicesGenerator extends Generator {
     this.options = options;
   }
 
+  /**
+   * Number of options
+   * @returns {number}
+   */
+  get size() {
+    return this.options.length;
+  }
+
+  /**
+   * Returns the option at a given index
+   * @param {number} index - Index of the option
+   * @returns {string|number|undefined} The option, or undefined if the index is out of range
+   */
+  at(index) {
+    return this.options[index];
+  }
+
   /**
    * Returns all possible values for this choice
    * @returns {Iterable<string|number>}
@@ -49,45 +66,342 @@ class ChoicesGenerator extends Generator {
 }
 
 /**
- * Generator for numerical ranges
- * @implements {CartesianGenerator<number>}
+ * Returns the numeric position of a range bound
+ * Characters are counted by their code point
+ * @param {number|string} bound - A number or a single character
+ * @returns {number}
+ * @private
+ */
+const codePoint = (bound) =>
+  typeof bound === "string" ? bound.codePointAt(0) : bound;
+
+/**
+ * Counts the decimal places of a number, including those of exponent notation
+ * @param {number} value - The number
+ * @returns {number}
+ * @private
+ */
+function decimalsOf(value) {
+  const [digits, exponent = "0"] = String(value).split("e");
+  const fraction = digits.split(".")[1] || "";
+  return Math.max(0, fraction.length - Number(exponent));
+}
+
+/**
+ * Default step of a range, counting down if the end comes before the start
+ * @param {number|string} start - Starting value
+ * @param {number|string} end - Ending value
+ * @returns {number} 1 or -1
+ * @private
+ */
+const defaultStep = (start, end) =>
+  codePoint(end) < codePoint(start) ? -1 : 1;
+
+/**
+ * Throws if a range step is zero or leads away from the end
+ * @param {number|string} start - Starting value
+ * @param {number|string} end - Ending value
+ * @param {number} step - Increment between values
+ * @throws {RangeError} If the range would never reach its end
+ * @private
+ */
+function checkStep(start, end, step) {
+  if (typeof step !== "number" || step === 0 || !isFinite(step)) {
+    throw new RangeError(`Range step must be a non-zero number, got ${step}`);
+  }
+  if ((codePoint(end) - codePoint(start)) * step < 0) {
+    const direction = step > 0 ? "negative" : "positive";
+    throw new RangeError(
+      `Range step must be ${direction} to go from ${start} to ${end}, got ${step}`
+    );
+  }
+}
+
+/**
+ * Zero pads a number to a minimum width, keeping its sign in front
+ * @param {number} value - The number to pad
+ * @param {number} width - Minimum width, not counting the sign
+ * @returns {string}
+ * @private
+ */
+function padNumber(value, width) {
+  const sign = value < 0 ? "-" : "";
+  return sign + String(Math.abs(value)).padStart(width, "0");
+}
+
+/**
+ * Generator for numerical and character ranges
+ * @implements {CartesianGenerator<number|string>}
  */
 class RangeGenerator extends Generator {
   /**
-   * @param {number} start - Starting value (inclusive)
-   * @param {number} end - Ending value (inclusive)
-   * @param {number} step - Increment between values
+   * @param {number|string} start - Starting value (inclusive), a single character for character ranges
+   * @param {number|string} end - Ending value (inclusive), a single character for character ranges
+   * @param {number} [step] - Increment between values, negative for descending ranges (default: 1, or -1 if end is before start)
    * @param {boolean} [includeEnd=true] - Always include the end value even if not divisible by step
+   * @param {Object} [options] - Options for formatting values
+   * @param {number} [options.pad] - Zero pad numbers to this width, not counting the sign
+   * @param {Function} [options.format] - Turns each value into the value to yield
+   * @throws {RangeError} If the step is zero or leads away from the end
    * @example
    * new RangeGenerator(1, 10, 2) // 1, 3, 5, 7, 9
    * new RangeGenerator(1, 10, 3, true) // 1, 4, 7, 10
+   * new RangeGenerator(10, 1) // 10, 9, 8, ..., 1
+   * new RangeGenerator(0, 1, 0.1) // 0, 0.1, 0.2, ..., 1
+   * new RangeGenerator("a", "e", 2) // "a", "c", "e"
+   * new RangeGenerator(1, 100, 1, true, { pad: 3 }) // "001", "002", ..., "100"
    */
-  constructor(start, end, step = 1, includeEnd = true) {
+  constructor(
+    start,
+    end,
+    step = defaultStep(start, end),
+    includeEnd = true,
+    { pad, format } = {}
+  ) {
     super();
+    checkStep(start, end, step);
     this.start = start;
     this.end = end;
     this.step = step;
     this.includeEnd = includeEnd;
+    this.pad = pad;
+    this.format = format;
+  }
+
+  /**
+   * Start, end and step scaled to integers by the largest number of decimals
+   * among them, so decimal steps don't accumulate floating-point error
+   * @returns {{start: number, end: number, step: number, scale: number}}
+   * @private
+   */
+  get scaled() {
+    const bounds = [this.start, this.end, this.step].map(codePoint);
+    const scale = 10 ** Math.max(...bounds.map(decimalsOf));
+    const [start, end, step] = bounds.map((bound) => Math.round(bound * scale));
+    return { start, end, step, scale };
+  }
+
+  /**
+   * Number of whole steps that fit between start and end
+   * @returns {number}
+   * @private
+   */
+  get steps() {
+    const { start, end, step } = this.scaled;
+    return Math.floor((end - start) / step);
+  }
+
+  /**
+   * Number of values in this range, computed without generating them
+   * @returns {number}
+   * @example
+   * new RangeGenerator(1, 1000000000).size // 1000000000
+   */
+  get size() {
+    const { start, end, step } = this.scaled;
+    const { steps } = this;
+    // If includeEnd is true and the last step falls short of the end,
+    // the end value is added explicitly
+    const last = start + steps * step;
+    return steps + 1 + (this.includeEnd && end !== last ? 1 : 0);
+  }
+
+  /**
+   * Returns the value at a given index of this range
+   * @param {number} index - Index of the value
+   * @returns {number|string|undefined} The value, or undefined if the index is out of range
+   */
+  at(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+      return undefined;
+    }
+    const { start, step, scale } = this.scaled;
+    return this.formatValue(
+      index <= this.steps ? (start + index * step) / scale : codePoint(this.end)
+    );
+  }
+
+  /**
+   * Turns a position in the range into the value to yield
+   * @param {number} position - A number, or the code point of a character
+   * @returns {number|string}
+   * @private
+   */
+  formatValue(position) {
+    const value =
+      typeof this.start === "string"
+        ? String.fromCodePoint(position)
+        : this.pad
+        ? padNumber(position, this.pad)
+        : position;
+    return this.format ? this.format(value) : value;
   }
 
   /**
    * Returns all values in this range
-   * @returns {Iterable<number>}
+   * @returns {Iterable<number|string>}
    */
   *values() {
-    for (let i = this.start; i <= this.end; i += this.step) {
-      yield i;
+    const { start, step, scale } = this.scaled;
+    const { size, steps } = this;
+    for (let i = 0; i < size; i++) {
+      yield this.formatValue(
+        i <= steps ? (start + i * step) / scale : codePoint(this.end)
+      );
     }
+  }
+}
 
-    // If includeEnd is true and the last value wasn't included due to step,
-    // include the end value explicitly
-    if (
-      this.includeEnd &&
-      (this.end - this.start) % this.step !== 0 &&
-      this.end >
-        this.start + Math.floor((this.end - this.start) / this.step) * this.step
-    ) {
-      yield this.end;
+/**
+ * Counts the ways to pick k of n items, ignoring their order (nCk)
+ * @param {number} n - Number of items
+ * @param {number} k - Number of items to pick
+ * @returns {bigint}
+ * @private
+ */
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0n;
+
+  let result = 1n;
+  for (let i = 0; i < Math.min(k, n - k); i++) {
+    result = (result * BigInt(n - i)) / BigInt(i + 1);
+  }
+  return result;
+}
+
+/**
+ * Counts the ways to pick k of n items in order (nPk)
+ * @param {number} n - Number of items
+ * @param {number} k - Number of items to pick
+ * @returns {bigint}
+ * @private
+ */
+function arrangements(n, k) {
+  if (k < 0 || k > n) return 0n;
+
+  let result = 1n;
+  for (let i = 0; i < k; i++) {
+    result *= BigInt(n - i);
+  }
+  return result;
+}
+
+/**
+ * Finds the k-combination of n items at an index, in lexicographic order
+ * @param {number} n - Number of items
+ * @param {number} k - Number of items to pick
+ * @param {bigint} index - Index of the combination
+ * @returns {Array<number>} Positions of the picked items, ascending
+ * @private
+ */
+function combinationAt(n, k, index) {
+  const picked = [];
+  let next = 0;
+  for (let i = 0; i < k; i++) {
+    // Skip every combination that starts with an earlier item
+    for (;;) {
+      const rest = binomial(n - next - 1, k - i - 1);
+      if (index < rest) break;
+      index -= rest;
+      next++;
+    }
+    picked.push(next++);
+  }
+  return picked;
+}
+
+/**
+ * Finds the k-permutation of n items at an index, in lexicographic order
+ * @param {number} n - Number of items
+ * @param {number} k - Number of items to pick
+ * @param {bigint} index - Index of the permutation
+ * @returns {Array<number>} Positions of the picked items, in order
+ * @private
+ */
+function permutationAt(n, k, index) {
+  const available = Array.from({ length: n }, (_, i) => i);
+  const picked = [];
+  for (let i = 0; i < k; i++) {
+    // Each remaining item starts a block of the same size
+    const block = arrangements(n - i - 1, k - i - 1);
+    picked.push(available.splice(Number(index / block), 1)[0]);
+    index %= block;
+  }
+  return picked;
+}
+
+/**
+ * Generator for picks of several distinct items at once,
+ * as k-combinations (unordered) or k-permutations (ordered)
+ * @implements {CartesianGenerator<string>}
+ */
+class PickGenerator extends Generator {
+  /**
+   * @param {Array<any>} items - The items to pick from
+   * @param {number} k - Number of items to pick
+   * @param {Object} [options] - Options for picking
+   * @param {boolean} [options.ordered=false] - Pick in order (permutations) instead of combinations
+   * @param {string} [options.joiner=", "] - Text between the picked items
+   * @example
+   * new PickGenerator(["A", "B", "C"], 2) // "A, B", "A, C", "B, C"
+   * new PickGenerator(["A", "B"], 2, { ordered: true, joiner: " then " }) // "A then B", "B then A"
+   */
+  constructor(items, k, { ordered = false, joiner = ", " } = {}) {
+    super();
+    this.items = items;
+    this.k = k;
+    this.ordered = ordered;
+    this.joiner = joiner;
+  }
+
+  /**
+   * Exact number of picks (nPk or nCk)
+   * @returns {bigint}
+   * @private
+   */
+  get total() {
+    const { length } = this.items;
+    return this.ordered
+      ? arrangements(length, this.k)
+      : binomial(length, this.k);
+  }
+
+  /**
+   * Number of picks, a BigInt past Number.MAX_SAFE_INTEGER
+   * @returns {number|bigint}
+   * @example
+   * new PickGenerator(["A", "B", "C", "D"], 2).size // 6
+   */
+  get size() {
+    return toCount(this.total);
+  }
+
+  /**
+   * Returns the pick at a given index
+   * @param {number|bigint} index - Index of the pick
+   * @returns {string|undefined} The joined items, or undefined if the index is out of range
+   */
+  at(index) {
+    const position = toIndex(index);
+    if (position === null || position < 0n || position >= this.total) {
+      return undefined;
+    }
+
+    const { length } = this.items;
+    const picked = this.ordered
+      ? permutationAt(length, this.k, position)
+      : combinationAt(length, this.k, position);
+    return picked.map((i) => this.items[i]).join(this.joiner);
+  }
+
+  /**
+   * Returns all picks, in lexicographic order of the items' positions
+   * @returns {Iterable<string>}
+   */
+  *values() {
+    const { total } = this;
+    for (let i = 0n; i < total; i++) {
+      yield this.at(i);
     }
   }
 }
@@ -113,161 +427,836 @@ class StaticGenerator {
 }
 
 /**
- * Helper function to collect all values from a generator
- * @param {Iterable<any>} iterable - The iterable to collect values from
- * @returns {Array<any>} Array of all values
+ * Generator for the values of any other iterable, like a Set,
+ * the result of `parse` or another compiled template
+ * @implements {CartesianGenerator<any>}
+ * @private
+ */
+class IterableGenerator extends Generator {
+  /**
+   * @param {Iterable<any>} source - The iterable
+   */
+  constructor(source) {
+    super();
+    this.source = source;
+    // Iterators can only be read once, so their values are kept for the next time
+    this.cache = typeof source.next === "function" ? [] : undefined;
+    this.done = false;
+  }
+
+  /**
+   * Returns all values of the iterable
+   * @returns {Iterable<any>}
+   */
+  *values() {
+    if (!this.cache) {
+      yield* this.source;
+      return;
+    }
+    for (let i = 0; ; i++) {
+      if (i === this.cache.length) {
+        if (this.done) return;
+        const { value, done } = this.source.next();
+        if (done) {
+          this.done = true;
+          return;
+        }
+        this.cache.push(value);
+      }
+      yield this.cache[i];
+    }
+  }
+}
+
+/**
+ * Placeholder for a back reference to an earlier expression of a compiled template
  * @private
  */
-const collectValues = (iterable) => [...iterable];
+class Reference {
+  /**
+   * @param {number|string} target - Index or name of the expression
+   */
+  constructor(target) {
+    this.target = target;
+  }
+}
 
 /**
- * Creates a cartesian product of all provided generators
- * @param {Array<CartesianGenerator>} generators - List of generators to combine
- * @returns {Generator<Array<any>>} Generator of all combinations
+ * Reads the values of a generator as they are needed, keeping them for
+ * later passes, so each value is only generated once
  * @private
  */
-function* cartesianProduct(generators) {
-  // For zero generators, yield an empty combination
-  if (generators.length === 0) {
-    yield [];
-    return;
+class LazyValues {
+  /**
+   * @param {CartesianGenerator|Array<any>} generator - The generator to read
+   */
+  constructor(generator) {
+    this.iterator = generator.values()[Symbol.iterator]();
+    this.cache = [];
+    this.done = false;
   }
 
-  // For one generator, yield each value as a single-element array
-  if (generators.length === 1) {
-    for (const value of generators[0].values()) {
-      yield [value];
+  /**
+   * Checks that the generator has a value at an index, reading values up to it
+   * @param {number} index - The index
+   * @returns {boolean}
+   */
+  has(index) {
+    while (this.cache.length <= index && !this.done) {
+      const { value, done } = this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else {
+        this.cache.push(value);
+      }
     }
-    return;
+    return index < this.cache.length;
+  }
+
+  /**
+   * Returns the values read so far, then reads the rest
+   * @returns {Iterable<any>}
+   */
+  *values() {
+    for (let i = 0; this.has(i); i++) yield this.cache[i];
   }
+}
 
-  // For multiple generators, compute the cartesian product
-  // First, collect all values from each generator
-  const allValues = generators.map((gen) => collectValues(gen.values()));
+/**
+ * Yields the combinations of generators in lexicographic order,
+ * the last generator varying fastest
+ * The first generator is read once, as combinations are needed, so it can be
+ * infinite. The others are read once and kept, so they must be finite
+ * @param {Array<CartesianGenerator>} generators - List of generators to combine
+ * @returns {Generator<Array<any>>} Generator of all combinations
+ * @private
+ */
+function* lexicographicProduct(generators) {
+  const lazy = generators.map((generator, i) =>
+    i === 0 ? generator : new LazyValues(generator)
+  );
+  const current = new Array(generators.length);
 
-  // Generate all combinations using nested loops
-  function* generateCombinations(index, current) {
-    if (index === allValues.length) {
+  function* fill(index) {
+    if (index === lazy.length) {
       yield [...current];
       return;
     }
-
-    for (const value of allValues[index]) {
+    for (const value of lazy[index].values()) {
       current[index] = value;
-      yield* generateCombinations(index + 1, current);
+      yield* fill(index + 1);
+    }
+  }
+
+  yield* fill(0);
+}
+
+/**
+ * Yields the combinations of generators along diagonals: every combination
+ * of the first values of each generator before those of later values
+ * (Cantor's dovetailing). Any generator can be infinite, and every combination
+ * is still reached after finitely many others
+ * @param {Array<CartesianGenerator>} generators - List of generators to combine
+ * @returns {Generator<Array<any>>} Generator of all combinations
+ * @private
+ */
+function* diagonalProduct(generators) {
+  const lazy = generators.map((generator) => new LazyValues(generator));
+  const current = new Array(generators.length);
+
+  // The largest sum of indices from a generator on, Infinity until they all ended
+  const reach = (index) =>
+    lazy
+      .slice(index)
+      .reduce(
+        (total, values) =>
+          total + (values.done ? values.cache.length - 1 : Infinity),
+        0
+      );
+
+  // Yields the combinations whose indices from a generator on add up to `sum`
+  function* fill(index, sum) {
+    if (index === lazy.length) {
+      if (sum === 0) yield [...current];
+      return;
+    }
+    for (let i = 0; i <= sum && lazy[index].has(i); i++) {
+      if (sum - i > reach(index + 1)) continue;
+      current[index] = lazy[index].cache[i];
+      yield* fill(index + 1, sum - i);
     }
   }
 
-  yield* generateCombinations(0, new Array(allValues.length));
+  // Once a diagonal has no combinations, the generators have run out
+  for (let sum = 0; ; sum++) {
+    let empty = true;
+    for (const combination of fill(0, sum)) {
+      empty = false;
+      yield combination;
+    }
+    if (empty) return;
+  }
 }
 
 /**
- * Creates a generator that yields numbers within a specified range
- * @param {number} start - Starting value (inclusive)
- * @param {number} end - Ending value (inclusive)
- * @param {number} [step=1] - Increment between values
+ * Ways to order the combinations of generators, by name
+ * @private
+ */
+const PRODUCT_STRATEGIES = {
+  lexicographic: lexicographicProduct,
+  diagonal: diagonalProduct,
+};
+
+/**
+ * Creates a cartesian product of all provided generators, reading them lazily
+ * @param {Array<CartesianGenerator>} generators - List of generators to combine
+ * @param {string} [strategy="lexicographic"] - Order of the combinations, a key of PRODUCT_STRATEGIES
+ * @returns {Generator<Array<any>>} Generator of all combinations
+ * @private
+ */
+const cartesianProduct = (generators, strategy = "lexicographic") =>
+  PRODUCT_STRATEGIES[strategy](generators);
+
+/**
+ * Creates a generator that yields numbers or characters within a specified range
+ * @param {number|string} start - Starting value (inclusive), a single character for character ranges
+ * @param {number|string} end - Ending value (inclusive), a single character for character ranges
+ * @param {number} [step] - Increment between values, negative for descending ranges (default: 1, or -1 if end is before start)
  * @param {boolean} [includeEnd=true] - Always include the end value even if not divisible by step
- * @returns {CartesianGenerator<number>}
+ * @param {Object} [options] - Options for formatting values
+ * @param {number} [options.pad] - Zero pad numbers to this width, not counting the sign
+ * @param {Function} [options.format] - Turns each value into the value to yield
+ * @returns {CartesianGenerator<number|string>}
+ * @throws {RangeError} If the step is zero or leads away from the end
  * @example
  * range(1, 5, 1) // yields 1, 2, 3, 4, 5
  * range(0, 10, 3, true) // yields 0, 3, 6, 9, 10 (note 10 is included)
+ * range(10, 1) // yields 10, 9, 8, ..., 1
+ * range(0, 1, 0.1) // yields 0, 0.1, 0.2, ..., 1
+ * range("A", "F") // yields "A", "B", "C", "D", "E", "F"
+ * range(1, 12, 1, true, { pad: 2 }) // yields "01", "02", ..., "12"
+ * range(1, 3, 1, true, { format: (n) => `img_${n}.png` }) // yields "img_1.png", ...
+ */
+const range = (start, end, step, includeEnd = true, options = {}) =>
+  new RangeGenerator(start, end, step, includeEnd, options);
+
+/**
+ * Creates a generator that picks k distinct items, ignoring their order
+ * @param {Array<any>} items - The items to pick from
+ * @param {number} k - Number of items to pick
+ * @param {Object} [options] - Options for picking
+ * @param {string} [options.joiner=", "] - Text between the picked items
+ * @returns {CartesianGenerator<string>}
+ * @example
+ * combinations(["A", "B", "C"], 2) // yields "A, B", "A, C", "B, C"
+ * compile`Features: ${combinations(["fast", "cheap", "good"], 2, { joiner: " and " })}`
+ */
+const combinations = (items, k, { joiner } = {}) =>
+  new PickGenerator(items, k, { joiner });
+
+/**
+ * Creates a generator that picks k distinct items in order
+ * @param {Array<any>} items - The items to pick from
+ * @param {number} k - Number of items to pick
+ * @param {Object} [options] - Options for picking
+ * @param {string} [options.joiner=", "] - Text between the picked items
+ * @returns {CartesianGenerator<string>}
+ * @example
+ * permutations(["A", "B", "C"], 2) // yields "A, B", "A, C", "B, A", "B, C", "C, A", "C, B"
+ */
+const permutations = (items, k, { joiner } = {}) =>
+  new PickGenerator(items, k, { ordered: true, joiner });
+
+/**
+ * Creates a back reference for compile, repeating the value of an earlier expression
+ * Expressions are counted from 0, leaving out references. An expression is named
+ * by wrapping it in an object with a single property, like `${{ color: ["red", "blue"] }}`
+ * @param {number|string} target - Index or name of the expression
+ * @returns {Object} The reference, to use as an expression of compile
+ * @throws {TypeError} If the target isn't a non-negative integer or a name
+ * @example
+ * compile`${["red", "blue"]} paint, ${ref(0)} walls` // "red paint, red walls", ...
+ * compile`${{ size: ["S", "M"] }}/${range(1, 2)}: size ${ref("size")}`
  */
-const range = (start, end, step = 1, includeEnd = true) =>
-  new RangeGenerator(start, end, step, includeEnd);
+const ref = (target) => {
+  if (
+    typeof target !== "string" &&
+    !(Number.isInteger(target) && target >= 0)
+  ) {
+    throw new TypeError(
+      `ref() takes the index or name of an expression, got ${target}`
+    );
+  }
+  return new Reference(target);
+};
 
 /**
  * Tagged template function that processes template strings with embedded generators
+ *
+ * Generators, arrays and any other iterables, like Sets, generator functions,
+ * the result of `parse` or other compiled templates, are expanded into each of
+ * their values. Strings and other values are used as they are.
+ *
  * @param {TemplateStringsArray} strings - String parts
- * @param {...any} expressions - Expressions that may contain generators
- * @returns {IterableIterator<string>}
+ * @param {...any} expressions - Expressions that may contain generators, iterables,
+ * references made with `ref`, or single-property objects naming their value
+ * @returns {IterableIterator<string>} Iterable with a `where(predicate)` method
+ * that keeps only the combinations of expression values the predicate accepts,
+ * a `unique(options)` method that removes duplicate outputs, and a `strategy(name)`
+ * method that sets the order of the combinations
+ * @throws {ReferenceError} If a reference doesn't refer to an earlier expression
  * @example
  * compile`Hello ${['world', 'universe']}!`
+ * compile`${['free', 'pro']} plan, ${['basic', 'premium']} support`
+ *   .where(([plan, support]) => !(plan === 'free' && support === 'premium'))
+ * compile`${['a', 'a', 'b']}`.unique() // "a", "b"
+ * compile`${new Set(['x', 'y'])}-${compile`${[1, 2]}!`}` // "x-1!", "x-2!", "y-1!", "y-2!"
+ * compile`${{ name: ['Ann', 'Bo'] }} said hi. ${ref('name')} left.`
+ * compile`${ids}-${ids}`.strategy('diagonal') // "0-0", "0-1", "1-0", ... for an endless generator function
  */
 function compile(strings, ...expressions) {
-  const generators = expressions.map((expr) =>
-    expr instanceof Generator
-      ? expr
-      : Array.isArray(expr)
-      ? expr
-      : new StaticGenerator(expr)
-  );
-
-  return {
-    /**
-     * Iterator implementation
-     */
-    [Symbol.iterator]: function* () {
-      for (const combination of cartesianProduct(generators)) {
-        let result = strings[0];
-        for (let i = 0; i < combination.length; i++) {
-          result += combination[i] + strings[i + 1];
-        }
-        yield result;
-      }
-    },
-  };
+  return compileWhere(strings, compileExpressions(expressions));
 }
 
 /**
- * Determines if a pattern contains only numeric values and commas (a range pattern)
- * @param {string} pattern - The pattern to check
- * @param {string} separator - The separator character
- * @returns {boolean} True if the pattern is a range pattern, false otherwise
+ * Names the value of an expression that is an object with a single property
+ * @param {any} expression - The expression
+ * @returns {string|undefined} The name, if the expression is a named value
  * @private
  */
-function isRangePattern(pattern, separator = ",") {
-  // First, remove all whitespace for checking
-  const noWhitespace = pattern.replace(/\s+/g, "");
+function nameOf(expression) {
+  if (expression === null || typeof expression !== "object") return undefined;
+  const prototype = Object.getPrototypeOf(expression);
+  if (prototype !== Object.prototype && prototype !== null) return undefined;
+  // Iterables like the results of parse are expanded, even with a single key
+  if (typeof expression[Symbol.iterator] === "function") return undefined;
+  const keys = Object.keys(expression);
+  return keys.length === 1 ? keys[0] : undefined;
+}
 
-  // Remove trailing commas if present
-  const separatorPattern = new RegExp(`\\${separator}+$`);
-  const trimmedPattern = noWhitespace.replace(separatorPattern, "");
+/**
+ * Checks for objects implementing the generator interface, a `values()` method,
+ * that aren't iterable themselves
+ * @param {any} expression - The expression
+ * @returns {boolean}
+ * @private
+ */
+const isGenerator = (expression) =>
+  typeof expression?.values === "function" &&
+  typeof expression[Symbol.iterator] !== "function";
 
-  // Must have at least one comma to be a range
-  if (!trimmedPattern.includes(separator)) {
-    return false;
+/**
+ * Turns the value of an expression into something cartesianProduct can expand
+ * @param {any} expression - The expression
+ * @returns {CartesianGenerator|Array<any>|StaticGenerator}
+ * @private
+ */
+function toGenerator(expression) {
+  if (
+    expression instanceof Generator ||
+    Array.isArray(expression) ||
+    isGenerator(expression)
+  ) {
+    return expression;
   }
-
-  // Split by commas and check each part is a valid number
-  const parts = trimmedPattern.split(separator);
-
-  // Range patterns must have 2 or 3 parts
-  if (parts.length < 2 || parts.length > 3) {
-    return false;
+  if (
+    Object.prototype.toString.call(expression) === "[object GeneratorFunction]"
+  ) {
+    return new IterableGenerator({ [Symbol.iterator]: expression });
   }
+  // Strings are iterable too, but are used whole
+  if (
+    typeof expression !== "string" &&
+    typeof expression?.[Symbol.iterator] === "function"
+  ) {
+    return new IterableGenerator(expression);
+  }
+  return new StaticGenerator(expression);
+}
+
+/**
+ * Sorts the expressions of a compiled template into the generators to combine,
+ * and the generator whose value goes in the place of each expression
+ * @param {Array<any>} expressions - The expressions
+ * @returns {{generators: Array<Object>, names: Map<string, number>, places: Array<number>}}
+ * @throws {ReferenceError} If a reference doesn't refer to an earlier expression
+ * @private
+ */
+function compileExpressions(expressions) {
+  const generators = [];
+  const names = new Map();
+  const places = expressions.map((expression) => {
+    if (expression instanceof Reference) {
+      const { target } = expression;
+      const index = typeof target === "number" ? target : names.get(target);
+      if (!(index < generators.length)) {
+        throw new ReferenceError(
+          `ref(${JSON.stringify(
+            target
+          )}) doesn't refer to an earlier expression`
+        );
+      }
+      return index;
+    }
 
-  // Each part must be a valid number
-  return parts.every((part) => {
-    // Empty parts (from multiple commas) are not valid
-    if (part === "") return false;
-    // Check if it's a valid number
-    return !isNaN(parseFloat(part)) && isFinite(Number(part));
+    const name = isGenerator(expression) ? undefined : nameOf(expression);
+    if (name !== undefined) names.set(name, generators.length);
+    generators.push(
+      toGenerator(name !== undefined ? expression[name] : expression)
+    );
+    return generators.length - 1;
   });
+  return { generators, names, places };
 }
 
 /**
- * Parses a range pattern into start, end, and optional step values
- * @param {string} pattern - The range pattern to parse
- * @param {string} separator - The separator character
- * @returns {[number, number, number]} Array with [start, end, step]
+ * Builds the iterable returned by compile, keeping only the combinations
+ * that every predicate accepts
+ * @param {TemplateStringsArray} strings - String parts
+ * @param {Object} expressions - The expressions, sorted by compileExpressions
+ * @param {Object} [settings] - Settings made with the methods of the iterable
+ * @param {Array<Function>} [settings.predicates] - Predicates over the combination of expression values
+ * @param {{limit: number, memory: number}} [settings.unique] - Checked options for removing duplicate outputs
+ * @param {string} [settings.strategy="lexicographic"] - Order of the combinations
+ * @returns {IterableIterator<string>}
  * @private
  */
-function parseRangePattern(pattern, separator = ",") {
-  // Remove all whitespace
-  const noWhitespace = pattern.replace(/\s+/g, "");
+function compileWhere(strings, expressions, settings = {}) {
+  const { generators, names, places } = expressions;
+  const { predicates = [], unique, strategy } = settings;
+
+  const accepts = (combination) => {
+    if (predicates.length === 0) return true;
+    const named = {};
+    for (const [name, index] of names) named[name] = combination[index];
+    return predicates.every((predicate) => predicate(combination, named));
+  };
+
+  function* combine() {
+    for (const combination of cartesianProduct(generators, strategy)) {
+      if (!accepts(combination)) continue;
+      let result = strings[0];
+      for (let i = 0; i < places.length; i++) {
+        result += combination[places[i]] + strings[i + 1];
+      }
+      yield result;
+    }
+  }
+
+  return {
+    ...(unique && { duplicates: 0 }),
+
+    /**
+     * Iterator implementation
+     */
+    [Symbol.iterator]() {
+      if (!unique) return combine();
+      this.duplicates = 0;
+      return distinct(combine(), unique, sizeOfProduct(generators), this);
+    },
+
+    /**
+     * Async iterator implementation, yielding to the event loop regularly
+     */
+    [Symbol.asyncIterator]() {
+      return iterateAsync(this);
+    },
+
+    /**
+     * Keeps only the combinations the predicate accepts
+     * @param {Function} predicate - Receives the combination of expression values,
+     * leaving out references, and an object of named values
+     * @returns {IterableIterator<string>}
+     */
+    where(predicate) {
+      return compileWhere(strings, expressions, {
+        ...settings,
+        predicates: [...predicates, predicate],
+      });
+    },
+
+    /**
+     * Removes duplicate outputs, counting them in `duplicates`
+     * @param {Object} [options] - Options for removing duplicates, like the `unique` option of `parse`
+     * @returns {IterableIterator<string>}
+     */
+    unique(options = {}) {
+      return compileWhere(strings, expressions, {
+        ...settings,
+        unique: uniqueOptions(options),
+      });
+    },
+
+    /**
+     * Sets the order of the combinations
+     * - "lexicographic" - The last expression varies fastest, like `parse` (default).
+     *   Only the first expression can be infinite
+     * - "diagonal" - Combinations of earlier values of every expression come first,
+     *   so any expression can be infinite and each combination is still reached
+     * @param {string} name - The strategy
+     * @returns {IterableIterator<string>}
+     * @throws {RangeError} If there is no strategy with the name
+     */
+    strategy(name) {
+      if (!Object.hasOwn(PRODUCT_STRATEGIES, name)) {
+        throw new RangeError(
+          `Unknown strategy "${name}", expected "lexicographic" or "diagonal"`
+        );
+      }
+      return compileWhere(strings, expressions, {
+        ...settings,
+        strategy: name,
+      });
+    },
+  };
+}
+
+/**
+ * Counts the combinations of generators, if each of them has a known size
+ * @param {Array<CartesianGenerator|Array<any>|StaticGenerator>} generators - The generators
+ * @returns {bigint|undefined}
+ * @private
+ */
+function sizeOfProduct(generators) {
+  let total = 1n;
+  for (const generator of generators) {
+    const size =
+      generator instanceof StaticGenerator
+        ? 1
+        : Array.isArray(generator)
+        ? generator.length
+        : generator.size;
+    if (typeof size !== "bigint" && !Number.isInteger(size)) return undefined;
+    total *= BigInt(size);
+  }
+  return total;
+}
+
+/**
+ * Default number of distinct outputs `unique` remembers exactly
+ * @private
+ */
+const UNIQUE_LIMIT = 100000;
+
+/**
+ * Default size in bytes of the Bloom filter `unique` switches to past its limit
+ * @private
+ */
+const UNIQUE_MEMORY = 1 << 24;
+
+/**
+ * Hashes text to two 32-bit integers (cyrb53), for the probes of a Bloom filter
+ * @param {string} text - The text to hash
+ * @returns {[number, number]}
+ * @private
+ */
+function hashPair(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return [h1 >>> 0, h2 >>> 0];
+}
+
+/**
+ * Set of texts in a fixed amount of memory, which can mistake
+ * a new text for one it has seen, but never the other way around
+ * @private
+ */
+class BloomFilter {
+  /**
+   * @param {number} bytes - Memory to use
+   * @param {bigint} [expected] - Number of texts expected, to pick the number of probes
+   */
+  constructor(bytes, expected) {
+    this.bits = new Uint8Array(bytes);
+    this.size = bytes * 8;
+    // The optimal number of probes is bits per text times ln 2
+    const perText =
+      expected > 0n ? this.size / Number(expected) : this.size / 1e7;
+    this.probes = Math.min(16, Math.max(1, Math.round(perText * Math.LN2)));
+  }
+
+  /**
+   * Adds a text
+   * @param {string} text - The text to add
+   * @returns {boolean} True if the text was probably added before
+   */
+  add(text) {
+    const [h1, h2] = hashPair(text);
+    let seen = true;
+    for (let i = 0; i < this.probes; i++) {
+      const bit = ((h1 + Math.imul(i, h2)) >>> 0) % this.size;
+      const mask = 1 << (bit & 7);
+      if (!(this.bits[bit >>> 3] & mask)) {
+        seen = false;
+        this.bits[bit >>> 3] |= mask;
+      }
+    }
+    return seen;
+  }
+}
+
+/**
+ * Checks the `unique` option of parse and compile
+ * @param {boolean|Object} unique - True, or options for removing duplicates
+ * @returns {{limit: number, memory: number}}
+ * @throws {RangeError} If the limit or memory is invalid
+ * @private
+ */
+function uniqueOptions(unique) {
+  const { limit = UNIQUE_LIMIT, memory = UNIQUE_MEMORY } =
+    unique === true ? {} : unique;
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new RangeError(
+      `Unique limit must be a non-negative integer, got ${limit}`
+    );
+  }
+  if (!Number.isInteger(memory) || memory < 1) {
+    throw new RangeError(
+      `Unique memory must be a positive integer, got ${memory}`
+    );
+  }
+  return { limit, memory };
+}
+
+/**
+ * Yields the values of an iterable that weren't yielded before
+ * The first `limit` distinct values are remembered exactly. Past that, they go
+ * into a Bloom filter of `memory` bytes, so memory use stays bounded, but
+ * a rare new value can be taken for a duplicate and skipped
+ * @param {Iterable<any>} iterable - The values
+ * @param {{limit: number, memory: number}} options - Checked options for removing duplicates
+ * @param {bigint} [total] - Number of values expected, to tune the Bloom filter
+ * @param {{duplicates: number}} counter - Counts the skipped duplicates
+ * @param {Function} [key=String] - Returns the text values are compared by
+ * @returns {Generator<any>}
+ * @private
+ */
+function* distinct(iterable, { limit, memory }, total, counter, key = String) {
+  let seen = new Set();
+  let filter;
+  for (const value of iterable) {
+    const text = key(value);
+    if (filter ? filter.add(text) : seen.has(text)) {
+      counter.duplicates++;
+      continue;
+    }
+    if (!filter) {
+      seen.add(text);
+      if (seen.size > limit) {
+        filter = new BloomFilter(memory, total);
+        for (const known of seen) filter.add(known);
+        seen = null;
+      }
+    }
+    yield value;
+  }
+}
+
+/**
+ * Number of values iterated asynchronously between yields to the event loop
+ * @private
+ */
+const YIELD_INTERVAL = 1000;
+
+/**
+ * Waits for the event loop to run other tasks, like pending I/O
+ * @returns {Promise<void>}
+ * @private
+ */
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Iterates a synchronous iterable asynchronously, yielding to the event loop
+ * every YIELD_INTERVAL values so long iterations don't block it
+ * @param {Iterable<any>} iterable - The iterable to iterate
+ * @returns {AsyncGenerator<any>}
+ * @private
+ */
+async function* iterateAsync(iterable) {
+  let count = 0;
+  for (const value of iterable) {
+    yield value;
+    if (++count % YIELD_INTERVAL === 0) await nextTask();
+  }
+}
+
+/**
+ * Groups the values of an iterable into chunks, for writing them in batches.
+ * Values are only generated as chunks are requested, and the event loop
+ * gets to run regularly in between
+ * @param {Iterable<any>|AsyncIterable<any>} iterable - The values, like the result of `parse`
+ * @param {Object} [options] - Options for chunking
+ * @param {string} [options.separator] - Text after every value; chunks are strings if given
+ * @param {number} [options.batchSize] - Number of values per chunk; without a separator, chunks
+ * are arrays if given and single values if not
+ * @returns {AsyncGenerator<any>} The chunks
+ * @example
+ * for await (const rows of chunks(parse("{a|b}{1,1000}"), { batchSize: 500 })) {
+ *   await db.insert(rows)
+ * }
+ * chunks(parse("{a|b}"), { separator: "\n" }) // "a\n", "b\n"
+ */
+async function* chunks(iterable, { separator, batchSize } = {}) {
+  const size = batchSize === undefined ? 1 : batchSize;
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError(`Batch size must be a positive integer, got ${size}`);
+  }
+
+  // Turns a batch of values into a chunk
+  const chunkOf = (batch) =>
+    separator !== undefined
+      ? batch.map((value) => value + separator).join("")
+      : batchSize !== undefined
+      ? batch
+      : batch[0];
+
+  const source = iterable[Symbol.asyncIterator]
+    ? iterable
+    : iterateAsync(iterable);
+  let batch = [];
+  for await (const value of source) {
+    batch.push(value);
+    if (batch.length >= size) {
+      yield chunkOf(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield chunkOf(batch);
+}
+
+/**
+ * Exposes the values of an iterable as a WHATWG ReadableStream
+ * Values are only generated when the stream is read, so a slow consumer
+ * holds back generation (backpressure)
+ * @param {Iterable<any>|AsyncIterable<any>} iterable - The values, like the result of `parse`
+ * @param {Object} [options] - Options for chunking, see `chunks`
+ * @param {string} [options.separator] - Text after every value; chunks are strings if given
+ * @param {number} [options.batchSize] - Number of values per chunk
+ * @returns {ReadableStream} The stream of chunks
+ * @throws {Error} If ReadableStream isn't available, like on Node.js 16
+ * @example
+ * const body = toReadableStream(parse("{a|b}{1,1000}"), { separator: "\n", batchSize: 100 })
+ * await fetch(url, { method: "POST", body, duplex: "half" })
+ */
+function toReadableStream(iterable, options = {}) {
+  if (typeof ReadableStream === "undefined") {
+    throw new Error("ReadableStream is not available in this environment");
+  }
+
+  const iterator = chunks(iterable, options);
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel() {
+      await iterator.return();
+    },
+  });
+}
+
+/**
+ * Determines if a range bound is a number
+ * @param {string} part - The bound, without whitespace
+ * @returns {boolean}
+ * @private
+ */
+const isNumericBound = (part) =>
+  !isNaN(parseFloat(part)) && isFinite(Number(part));
+
+/**
+ * Determines if a range bound is a single character, other than a digit
+ * @param {string} part - The bound, without whitespace
+ * @returns {boolean}
+ * @private
+ */
+const isCharacterBound = (part) => [...part].length === 1 && !/\d/.test(part);
+
+/**
+ * Determines if a pattern contains only numeric values or single characters
+ * and commas (a range pattern)
+ * @param {string} pattern - The pattern to check
+ * @param {string} separator - The separator character
+ * @returns {boolean} True if the pattern is a range pattern, false otherwise
+ * @private
+ */
+function isRangePattern(pattern, separator = ",") {
+  // First, remove all whitespace for checking
+  const noWhitespace = pattern.replace(/\s+/g, "");
+
+  // Remove trailing commas if present
+  const separatorPattern = new RegExp(`\\${separator}+$`);
+  const trimmedPattern = noWhitespace.replace(separatorPattern, "");
+
+  // Must have at least one comma to be a range
+  if (!trimmedPattern.includes(separator)) {
+    return false;
+  }
+
+  // Split by commas and check each part is a valid number
+  const parts = trimmedPattern.split(separator);
+
+  // Range patterns must have 2 or 3 parts
+  if (parts.length < 2 || parts.length > 3) {
+    return false;
+  }
+
+  // Each part must be a valid number, or the bounds single characters
+  // with a whole step. Empty parts (from multiple commas) are not valid
+  const [start, end, step = "1"] = parts;
+  return (
+    parts.every(isNumericBound) ||
+    (isCharacterBound(start) &&
+      isCharacterBound(end) &&
+      isNumericBound(step) &&
+      Number.isInteger(Number(step)))
+  );
+}
+
+/**
+ * Parses a range pattern into start, end, and optional step values
+ * Bounds with leading zeros are zero padded to the width of the widest bound, not counting signs
+ * @param {string} pattern - The range pattern to parse
+ * @param {string} separator - The separator character
+ * @returns {[number|string, number|string, number, number|undefined]} Array with [start, end, step, pad]
+ * @private
+ */
+function parseRangePattern(pattern, separator = ",") {
+  // Remove all whitespace
+  const noWhitespace = pattern.replace(/\s+/g, "");
 
   // Remove trailing commas
   const separatorPattern = new RegExp(`\\${separator}+$`);
   const trimmedPattern = noWhitespace.replace(separatorPattern, "");
 
-  // Split by comma and convert to numbers
-  const parts = trimmedPattern.split(separator).map((part) => parseFloat(part));
+  // Split by comma and convert numeric bounds to numbers
+  const parts = trimmedPattern.split(separator);
+  const bounds = parts.slice(0, 2);
+  const numeric = bounds.every(isNumericBound);
 
-  const start = parts[0];
-  const end = parts[1];
-  const step = parts.length > 2 ? parts[2] : 1;
+  const [start, end] = numeric ? bounds.map(parseFloat) : bounds;
+  const step =
+    parts.length > 2 ? parseFloat(parts[2]) : defaultStep(start, end);
+  const widths = bounds.map((bound) => bound.replace(/^[-+]/, "").length);
+  const pad =
+    numeric && bounds.some((bound) => /^[-+]?0\d/.test(bound))
+      ? Math.max(...widths)
+      : undefined;
 
-  return [start, end, step];
+  return [start, end, step, pad];
 }
 
 /**
@@ -283,41 +1272,2102 @@ function parseChoicesPattern(pattern, separator = "|") {
 }
 
 /**
- * Shared helper for parse and count functions
- * Extracts patterns from the template string
+ * Escapes a string for literal use inside a regular expression
+ * @param {string} string - The string to escape
+ * @returns {string} The escaped string
+ * @private
+ */
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Measures the escape sequence at an offset of the template
+ * Only delimiters, separators, the back reference marker and the escape
+ * character itself can be escaped; any other escape character is literal
  * @param {string} template - The template string
- * @param {Object} options - Options for pattern extraction
- * @param {string} options.patternStart - Pattern start delimiter
- * @param {string} options.patternEnd - Pattern end delimiter
- * @returns {Object} Object containing patterns and string parts
+ * @param {number} i - Offset to check
+ * @param {Object} state - Parser state (options)
+ * @returns {number} Length of the escape sequence, or 0 if there is none
+ * @private
+ */
+function escapeLength(template, i, { escapeCharacter, escapable }) {
+  if (!escapeCharacter || !template.startsWith(escapeCharacter, i)) {
+    return 0;
+  }
+
+  const next = i + escapeCharacter.length;
+  const escaped = escapable.find((token) => template.startsWith(token, next));
+  return escaped ? escapeCharacter.length + escaped.length : 0;
+}
+
+/**
+ * Error for templates with mistakes, thrown by the `strict` option
+ * Holds the first error and every diagnostic of the template
+ */
+class SpintaxSyntaxError extends SyntaxError {
+  /**
+   * @param {Object} diagnostic - The first error, as returned by `validate`
+   * @param {Array<Object>} diagnostics - Every diagnostic of the template
+   */
+  constructor(diagnostic, diagnostics) {
+    super(
+      `${diagnostic.message} (line ${diagnostic.line}, column ${diagnostic.column})`
+    );
+    this.name = "SpintaxSyntaxError";
+    this.code = diagnostic.code;
+    this.start = diagnostic.start;
+    this.end = diagnostic.end;
+    this.line = diagnostic.line;
+    this.column = diagnostic.column;
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * Records a diagnostic, if the parser collects them
+ * Parts of a template can be parsed more than once, so each problem
+ * is only recorded once per position
+ * @param {Object} state - Parser state (options)
+ * @param {string} code - Code of the problem
+ * @param {string} severity - "error" or "warning"
+ * @param {number} start - Offset where the problem starts
+ * @param {number} end - Offset where the problem ends
+ * @param {string} message - Description of the problem
+ * @private
+ */
+function report(state, code, severity, start, end, message) {
+  if (!state.diagnostics) return;
+  state.diagnostics.set(`${code}:${start}`, {
+    code,
+    severity,
+    message,
+    start,
+    end,
+  });
+}
+
+/**
+ * Finds the line and column of an offset in a template, both counted from 1
+ * @param {string} template - The template string
+ * @param {number} offset - The offset
+ * @returns {{line: number, column: number}}
+ * @private
+ */
+function lineColumn(template, offset) {
+  const lines = template.slice(0, offset).split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Pairs every pattern start delimiter with its matching end delimiter
+ * Delimiters without a partner are left out and treated as literal text
+ * @param {string} template - The template string
+ * @param {Object} state - Parser state (options)
+ * @returns {Map<number, number>} Map from start delimiter offsets to end delimiter offsets
+ * @private
+ */
+function matchDelimiters(template, state) {
+  const { patternStart, patternEnd } = state;
+  const matches = new Map();
+  const open = [];
+  let i = 0;
+
+  while (i < template.length) {
+    const escaped = escapeLength(template, i, state);
+
+    if (escaped) {
+      // Escaped delimiters never open or close a pattern
+      i += escaped;
+    } else if (template.startsWith(patternStart, i)) {
+      open.push(i);
+      i += patternStart.length;
+    } else if (template.startsWith(patternEnd, i) && open.length > 0) {
+      matches.set(open.pop(), i);
+      i += patternEnd.length;
+    } else if (template.startsWith(patternEnd, i)) {
+      const end = i + patternEnd.length;
+      report(
+        state,
+        "unmatched-pattern-end",
+        "warning",
+        i,
+        end,
+        `Pattern end "${patternEnd}" has no pattern start, so it is literal text`
+      );
+      i = end;
+    } else {
+      i++;
+    }
+  }
+
+  for (const start of open) {
+    report(
+      state,
+      "unclosed-pattern",
+      "error",
+      start,
+      start + patternStart.length,
+      `Pattern start "${patternStart}" is never closed, so it is literal text`
+    );
+  }
+
+  return matches;
+}
+
+/**
+ * Measures the option weight at an offset of the template
+ * A weight is the weight marker followed by a number at the very end of an option.
+ * A marker right after a digit is literal text, so times and ratios like `10:30` stay whole
+ * @param {string} template - The template string
+ * @param {number} i - Offset to check
+ * @param {number} to - Offset where the enclosing pattern ends
+ * @param {string} separator - Separator between options
+ * @param {Object} state - Parser state (options)
+ * @returns {Array|null} The weight and the offset after it, or null if there is none
+ * @private
+ */
+function matchWeight(template, i, to, separator, { weightMarker }) {
+  if (
+    !weightMarker ||
+    !template.startsWith(weightMarker, i) ||
+    /\d/.test(template[i - 1])
+  ) {
+    return null;
+  }
+
+  const weightRegex = /\d+(?:\.\d+)?/y;
+  weightRegex.lastIndex = i + weightMarker.length;
+  const weightMatch = weightRegex.exec(template);
+  const after = weightRegex.lastIndex;
+
+  if (
+    weightMatch &&
+    after <= to &&
+    (after === to || template.startsWith(separator, after))
+  ) {
+    return [parseFloat(weightMatch[0]), after];
+  }
+
+  return null;
+}
+
+/**
+ * Parses a slice of the template into lists of nodes, descending into nested patterns
+ * @param {string} template - The template string
+ * @param {number} from - Offset to start parsing at
+ * @param {number} to - Offset to stop parsing at
+ * @param {string|null} separator - Separator that splits the slice into options, if any
+ * @param {Object} state - Parser state (options, delimiter matches)
+ * @param {Array<number>} [weights] - Collects option weights, if options can be weighted
+ * @returns {Array<Array<Object>>} One list of nodes per option
+ * @private
+ */
+function parseOptions(template, from, to, separator, state, weights) {
+  const { patternStart, patternEnd, escapeCharacter, matches } = state;
+  const options = [[]];
+  let text = "";
+  let textStart = from;
+  let i = from;
+
+  // Emit any pending literal text as a node of the current option
+  const flush = () => {
+    if (text) {
+      options[options.length - 1].push({
+        type: "literal",
+        value: text,
+        start: textStart,
+        end: i,
+      });
+    }
+    text = "";
+  };
+
+  while (i < to) {
+    const close = matches.get(i);
+    const escaped = escapeLength(template, i, state);
+    const weight = weights && matchWeight(template, i, to, separator, state);
+    // Exclusions only apply to the whole template, so only the top level has them
+    const exclusion =
+      !escaped && separator === null && parseExclusion(template, i, state);
+
+    if (escaped) {
+      // An escape sequence stands for the character(s) after the escape character
+      if (!text) textStart = i;
+      text += template.slice(i + escapeCharacter.length, i + escaped);
+      i += escaped;
+    } else if (exclusion) {
+      flush();
+      options[options.length - 1].push(exclusion);
+      i = exclusion.end;
+      textStart = i;
+    } else if (close !== undefined && close > i + patternStart.length) {
+      // A nested pattern
+      flush();
+      options[options.length - 1].push(parseGroup(template, i, close, state));
+      i = close + patternEnd.length;
+      textStart = i;
+    } else if (close !== undefined) {
+      // An empty pattern is kept as literal text
+      report(
+        state,
+        "empty-pattern",
+        "warning",
+        i,
+        close + patternEnd.length,
+        "Empty pattern, kept as literal text"
+      );
+      if (!text) textStart = i;
+      text += template.slice(i, close + patternEnd.length);
+      i = close + patternEnd.length;
+    } else if (separator && template.startsWith(separator, i)) {
+      // A separator starts the next option
+      flush();
+      options.push([]);
+      i += separator.length;
+      textStart = i;
+    } else if (weight) {
+      // A weight ends the current option
+      flush();
+      weights[options.length - 1] = weight[0];
+      i = weight[1];
+      textStart = i;
+    } else {
+      if (!text) textStart = i;
+      text += template[i];
+      i++;
+    }
+  }
+  flush();
+
+  return options;
+}
+
+/**
+ * Parses an exclusion like !{0=free,plan=premium} at an offset of the template
+ * Each condition compares a top-level or named pattern with a value,
+ * and combinations meeting every condition are left out.
+ * Exclusions that parseNodes found to refer to no pattern are literal text
+ * @param {string} template - The template string
+ * @param {number} start - Offset of the exclusion marker
+ * @param {Object} state - Parser state (options, delimiter matches)
+ * @returns {Object|null} The exclusion node, or null if there is none
+ * @private
+ */
+function parseExclusion(template, start, state) {
+  const { exclusionMarker, patternStart, patternEnd, separatorRange } = state;
+  if (
+    !exclusionMarker ||
+    !template.startsWith(exclusionMarker, start) ||
+    state.literalExclusions.has(start)
+  ) {
+    return null;
+  }
+
+  const open = start + exclusionMarker.length;
+  const close = state.matches.get(open);
+  if (close === undefined) return null;
+
+  const parts = parseOptions(
+    template,
+    open + patternStart.length,
+    close,
+    separatorRange,
+    state
+  );
+  const conditions = [];
+  for (const part of parts) {
+    const match =
+      part.every((node) => node.type === "literal") &&
+      part
+        .map((node) => node.value)
+        .join("")
+        .match(state.condition);
+    // Anything else is literal text followed by a pattern
+    if (!match) return null;
+
+    conditions.push({
+      ...(match[1] !== undefined
+        ? { index: parseInt(match[1], 10) }
+        : { name: match[2] }),
+      value: match[3],
+    });
+  }
+
+  return {
+    type: "exclusion",
+    conditions,
+    start,
+    end: close + patternEnd.length,
+  };
+}
+
+/**
+ * Parses a single {...} pattern into a choice, range or back reference node
+ * @param {string} template - The template string
+ * @param {number} start - Offset of the pattern start delimiter
+ * @param {number} close - Offset of the pattern end delimiter
+ * @param {Object} state - Parser state (options, delimiter matches)
+ * @param {boolean} [named=true] - Read a leading name and name marker as the pattern's name
+ * @returns {Object} The pattern node
+ * @private
+ */
+function parseGroup(template, start, close, state, named = true) {
+  const {
+    patternStart,
+    patternEnd,
+    separatorChoices,
+    separatorRange,
+    optionalMarker,
+    permutationMarker,
+  } = state;
+  const end = close + patternEnd.length;
+
+  // A leading name and name marker names the pattern, unless other options
+  // start with them too, like the query parameters in {sort=asc|sort=desc}.
+  // Unless the template refers to the name, other options starting with any
+  // name are enough, like in ?{q=shoes|category=men}
+  let nameMatch =
+    named &&
+    template.slice(start + patternStart.length, close).match(state.capture);
+  const referenced =
+    Boolean(nameMatch) && state.referencedNames.has(nameMatch[1]);
+  if (
+    nameMatch &&
+    repeatsName(template, start, close, state, (text) =>
+      referenced ? text.startsWith(nameMatch[0]) : state.capture.test(text)
+    )
+  ) {
+    report(
+      state,
+      "literal-name",
+      "warning",
+      start,
+      end,
+      `Other options start with a name too, so "${nameMatch[0]}" is literal text, not a pattern name`
+    );
+    nameMatch = null;
+  }
+  const name = nameMatch ? nameMatch[1] : undefined;
+  const nameEnd =
+    start + patternStart.length + (nameMatch ? nameMatch[0].length : 0);
+
+  // A leading optional marker makes a pattern with a single option optional,
+  // like {?very }, so choices like {?a|b} and {?|!} keep the marker as text
+  const optional =
+    Boolean(optionalMarker) &&
+    template.startsWith(optionalMarker, nameEnd) &&
+    nameEnd + optionalMarker.length < close &&
+    parseOptions(
+      template,
+      nameEnd + optionalMarker.length,
+      close,
+      separatorChoices,
+      state
+    ).length === 1;
+  const contentStart = nameEnd + (optional ? optionalMarker.length : 0);
+  const content = template.slice(contentStart, close);
+
+  // Builds a pattern node, named if the pattern has a name
+  const pattern = (type, fields) => ({
+    type,
+    ...(name !== undefined && { name }),
+    ...fields,
+    start,
+    end,
+  });
+
+  // A count, a pick marker and whitespace pick that many distinct options at once,
+  // so text like {2*3|4*5} stays a choice. A joiner and the same marker again
+  // may follow the whitespace, like {2* and *a|b|c}
+  const pickMatch = !optional && content.match(state.pick);
+  if (pickMatch) {
+    const items = parseOptions(
+      template,
+      contentStart + pickMatch[0].length,
+      close,
+      separatorChoices,
+      state
+    );
+    const k = parseInt(pickMatch[1], 10);
+    const literal = items.every((item) =>
+      item.every((node) => node.type === "literal")
+    );
+    if (!literal) {
+      report(
+        state,
+        "invalid-pick",
+        "error",
+        start,
+        end,
+        "Options of a pick can't contain patterns, so the pattern is a choice"
+      );
+    } else if (k > items.length) {
+      report(
+        state,
+        "invalid-pick",
+        "error",
+        start,
+        end,
+        `Can't pick ${k} of ${items.length} options, so the pattern is a choice`
+      );
+    } else {
+      return pattern("pick", {
+        k,
+        ordered: pickMatch[2] === permutationMarker,
+        ...(pickMatch[3] !== undefined && { joiner: pickMatch[3] }),
+        options: items,
+      });
+    }
+  }
+
+  const weights = [];
+  const options = parseOptions(
+    template,
+    contentStart,
+    close,
+    separatorChoices,
+    state,
+    weights
+  );
+
+  // Only non-optional patterns without nested patterns or weights
+  // can be ranges or back references
+  const flat =
+    !optional &&
+    weights.length === 0 &&
+    options.every((option) => option.every((node) => node.type === "literal"));
+
+  if (flat) {
+    const backRefMatch = !nameMatch && content.match(state.backReference);
+    // Filters follow the back reference, separated like choices
+    const filters = backRefMatch
+      ? backRefMatch[3].split(separatorChoices).slice(1)
+      : [];
+
+    const unknownFilter = filters.find((filter) => !(filter in state.filters));
+    if (backRefMatch && unknownFilter !== undefined) {
+      report(
+        state,
+        "unknown-filter",
+        "error",
+        start,
+        end,
+        `Unknown filter "${unknownFilter}", so the pattern is a choice`
+      );
+    }
+
+    if (backRefMatch && unknownFilter === undefined) {
+      return {
+        type: "reference",
+        ...(backRefMatch[1] !== undefined
+          ? { index: parseInt(backRefMatch[1], 10) }
+          : { name: backRefMatch[2] }),
+        ...(filters.length > 0 && { filters }),
+        start,
+        end,
+      };
+    }
+
+    // A lexicon marker and the name of a lexicon entry stand for its values
+    const lexiconMatch = content.match(state.lexiconReference);
+    if (lexiconMatch && Object.hasOwn(state.lexicon, lexiconMatch[1])) {
+      const entry = lexiconMatch[1];
+      if (!state.entries.has(entry)) {
+        state.entries.set(entry, lexiconGenerator(state.lexicon[entry]));
+      }
+      return pattern("lexicon", { entry });
+    }
+    if (lexiconMatch) {
+      report(
+        state,
+        "unknown-lexicon-entry",
+        state.lexiconGiven ? "error" : "warning",
+        start,
+        end,
+        `The lexicon has no entry "${lexiconMatch[1]}", so the pattern is a choice`
+      );
+    }
+
+    // Range bounds are split on unescaped separators only
+    const bounds = parseOptions(
+      template,
+      contentStart,
+      close,
+      separatorRange,
+      state
+    ).map((bound) => bound.map((node) => node.value).join(""));
+    const rangeContent = bounds.join(separatorRange);
+
+    if (
+      bounds.every((bound) => !bound.includes(separatorRange)) &&
+      isRangePattern(rangeContent, separatorRange)
+    ) {
+      // It's a range pattern, parse ignoring whitespace
+      const [from, to, step, pad] = parseRangePattern(
+        rangeContent,
+        separatorRange
+      );
+      try {
+        checkStep(from, to, step);
+      } catch (error) {
+        if (!state.diagnostics) throw error;
+        report(state, "invalid-range-step", "error", start, end, error.message);
+      }
+      return pattern("range", { from, to, step, ...(pad && { pad }) });
+    }
+
+    // Bounds that don't make a range are most likely a mistake
+    const parts = bounds.map((bound) => bound.replace(/\s+/g, ""));
+    const isBound = (part) => isNumericBound(part) || isCharacterBound(part);
+    if (
+      parts.length <= 3 &&
+      parts.length >= 2 &&
+      parts.slice(0, 2).every(isBound)
+    ) {
+      report(
+        state,
+        "invalid-range",
+        "error",
+        start,
+        end,
+        `"${content}" is not a valid range, so the pattern is a choice`
+      );
+    }
+  }
+
+  // A single option has nothing to choose between, so unless the template
+  // refers to the name, it is literal text like the a=b in x{a=b}y
+  if (name !== undefined && !referenced && !optional && options.length === 1) {
+    report(
+      state,
+      "literal-name",
+      "warning",
+      start,
+      end,
+      `Nothing in the template refers to "${name}" and the pattern has one option, so "${nameMatch[0]}" is literal text`
+    );
+    return parseGroup(template, start, close, state, false);
+  }
+
+  // It's a choices pattern, preserve whitespace.
+  // An optional pattern has an extra, empty option for leaving it out
+  if (optional) options.push([]);
+  const choice = optional ? { optional, options } : { options };
+
+  if (state.mergeIdenticalOptions) {
+    // Identical options give identical values, so only the first is kept.
+    // Only used for counting, which doesn't need weights
+    const keys = options.map(optionKey);
+    return pattern("choice", {
+      options: options.filter((_, i) => keys.indexOf(keys[i]) === i),
+    });
+  }
+
+  if (weights.length > 0) {
+    // Options without a weight are left undefined and weigh 1
+    return pattern("choice", {
+      ...choice,
+      weights: options.map((_, i) => weights[i]),
+    });
+  }
+  return pattern("choice", choice);
+}
+
+/**
+ * Checks if an option of a pattern other than the first starts with a name,
+ * like the first option does
+ * @param {string} template - The template string
+ * @param {number} start - Offset of the pattern start delimiter
+ * @param {number} close - Offset of the pattern end delimiter
+ * @param {Object} state - Parser state (options, delimiter matches)
+ * @param {Function} startsWithName - Checks the literal text an option starts with
+ * @returns {boolean}
+ * @private
+ */
+function repeatsName(template, start, close, state, startsWithName) {
+  const [, ...others] = parseOptions(
+    template,
+    start + state.patternStart.length,
+    close,
+    state.separatorChoices,
+    state
+  );
+  return others.some(
+    ([node]) => node?.type === "literal" && startsWithName(node.value)
+  );
+}
+
+/**
+ * Collects the names the template refers to, in named back references like
+ * {$color} and in the conditions of exclusions like !{plan=free}
+ * @param {string} template - The template string
+ * @param {Object} state - Parser state (options, delimiter matches)
+ * @returns {Set<string>} The names
+ * @private
+ */
+function referencedNames(template, state) {
+  const { patternStart, exclusionMarker, separatorRange } = state;
+  const names = new Set();
+  for (const [open, close] of state.matches) {
+    const content = template.slice(open + patternStart.length, close);
+    const backRefMatch = content.match(state.backReference);
+    if (backRefMatch && backRefMatch[2] !== undefined) {
+      names.add(backRefMatch[2]);
+    }
+
+    const marker = open - (exclusionMarker ? exclusionMarker.length : 0);
+    if (
+      exclusionMarker &&
+      template.startsWith(exclusionMarker, marker) &&
+      !state.literalExclusions.has(marker)
+    ) {
+      for (const condition of content.split(separatorRange)) {
+        const match = condition.match(state.condition);
+        if (match && match[2] !== undefined) names.add(match[2]);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Describes an option of a choices pattern by its nodes, whatever their position
+ * @param {Array<Object>} option - The nodes of the option
+ * @returns {string} Equal for options with the same nodes
+ * @private
+ */
+const optionKey = (option) =>
+  JSON.stringify(option, (key, value) =>
+    key === "start" || key === "end" ? undefined : value
+  );
+
+/**
+ * Collects the named patterns of a list of nodes, at any depth
+ * @param {Array<Object>} nodes - The nodes to search
+ * @param {Map<string, Array<Object>>} [names] - Named patterns found so far
+ * @returns {Map<string, Array<Object>>} Patterns by name, in template order
+ * @private
+ */
+function collectNames(nodes, names = new Map()) {
+  for (const node of nodes) {
+    if (node.name !== undefined && node.type !== "reference") {
+      names.set(node.name, [...(names.get(node.name) || []), node]);
+    }
+    if (node.type === "choice") {
+      node.options.forEach((option) => collectNames(option, names));
+    }
+  }
+  return names;
+}
+
+/**
+ * Removes the values chosen for a list of nodes and everything nested in them
+ * so back references to patterns that weren't chosen resolve to nothing
+ * @param {Array<Object>} nodes - The nodes to forget
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @private
+ */
+function forgetValues(nodes, values) {
+  for (const node of nodes) {
+    values.delete(node);
+    if (node.type === "choice") {
+      node.options.forEach((option) => forgetValues(option, values));
+    }
+  }
+}
+
+/**
+ * Determines if a node is a pattern that contributes its own choice
+ * @param {Object} node - The node to check
+ * @returns {boolean} True for choice, range, pick and lexicon nodes
+ * @private
+ */
+const isSlot = (node) =>
+  node.type === "choice" ||
+  node.type === "range" ||
+  node.type === "pick" ||
+  node.type === "lexicon";
+
+/**
+ * Lists the tokens that can be escaped, longest first,
+ * so multi-character tokens win over their prefixes
+ * @param {Object} options - Options for pattern extraction
+ * @returns {Array<string>} The escapable tokens
+ * @private
+ */
+const escapableTokens = (options) =>
+  [
+    options.patternStart,
+    options.patternEnd,
+    options.separatorRange,
+    options.separatorChoices,
+    options.backReferenceMarker,
+    options.weightMarker,
+    options.nameMarker,
+    options.optionalMarker,
+    options.exclusionMarker,
+    options.combinationMarker,
+    options.permutationMarker,
+    options.lexiconMarker,
+    options.escapeCharacter,
+  ]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+/**
+ * Pattern for the names of named patterns
+ * @private
+ */
+const NAME = "[A-Za-z_][A-Za-z0-9_]*";
+
+/**
+ * Built-in filters for back references
+ * @private
+ */
+const FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+  title: (value) =>
+    value.replace(
+      /(^|\s)(\S)/g,
+      (_, space, letter) => space + letter.toUpperCase()
+    ),
+  slug: (value) =>
+    value
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, ""),
+  trim: (value) => value.trim(),
+};
+
+/**
+ * Options for pattern syntax, taken by every function that reads or writes a template
+ * @typedef {Object} SyntaxOptions
+ * @property {string} [patternStart="{"] - Pattern start delimiter
+ * @property {string} [patternEnd="}"] - Pattern end delimiter
+ * @property {string} [separatorRange=","] - Separator for range patterns
+ * @property {string} [separatorChoices="|"] - Separator for choices patterns
+ * @property {string} [backReferenceMarker="$"] - Marker for back references
+ * @property {string} [escapeCharacter="\\"] - Escape character for literal delimiters, separators and markers
+ * @property {string} [weightMarker] - Marker for option weights, like ":" for `{common:5|rare:1}`;
+ * options aren't weighted without one, so text like `localhost:8080` stays whole
+ * @property {string} [nameMarker="="] - Marker between a pattern's name and its content;
+ * unless the template refers to the name, a pattern with one option or with other options
+ * starting with a name and the marker keeps it as literal text
+ * @property {string} [optionalMarker="?"] - Marker for optional patterns
+ * @property {string} [exclusionMarker="!"] - Marker for exclusions
+ * @property {string} [combinationMarker="*"] - Marker for picks of several options, unordered
+ * @property {string} [permutationMarker="!"] - Marker for picks of several options, ordered
+ * @property {string} [lexiconMarker="#"] - Marker for lexicon references
+ */
+
+/**
+ * Options taken by every function that parses a template
+ * @typedef {Object} SpintaxOptions
+ * @property {string} [patternStart="{"] - Pattern start delimiter, and the other options of SyntaxOptions
+ * @property {string} [joiner=", "] - Text between picked options, unless the pattern has its own
+ * @property {Object<string, Function>} [filters] - Custom filters for back references, by name
+ * @property {Object<string, Iterable<any>|Function>} [lexicon] - Lists of values for lexicon references, by name
+ * @property {boolean} [strict=false] - Throw a SpintaxSyntaxError for mistakes in the template,
+ * like an unclosed pattern, instead of guessing what was meant (see `validate`)
+ */
+
+/**
+ * Default options for pattern syntax
+ * @type {SyntaxOptions}
+ * @private
+ */
+const SYNTAX_DEFAULTS = {
+  patternStart: "{",
+  patternEnd: "}",
+  separatorRange: ",",
+  separatorChoices: "|",
+  backReferenceMarker: "$",
+  escapeCharacter: "\\",
+  weightMarker: "",
+  nameMarker: "=",
+  optionalMarker: "?",
+  exclusionMarker: "!",
+  combinationMarker: "*",
+  permutationMarker: "!",
+  lexiconMarker: "#",
+};
+
+/**
+ * Default options for parsing a template
+ * @type {SpintaxOptions}
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  ...SYNTAX_DEFAULTS,
+  joiner: ", ",
+  filters: {},
+  lexicon: {},
+  strict: false,
+};
+
+/**
+ * Fills in the defaults for options that aren't given, and leaves out other options
+ * @param {Object} options - The options
+ * @param {Object} [defaults=DEFAULT_OPTIONS] - Default of each option
+ * @returns {Object} The options with defaults
+ * @private
+ */
+function withDefaults(options, defaults = DEFAULT_OPTIONS) {
+  const settings = { ...defaults };
+  for (const key of Object.keys(defaults)) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+  return settings;
+}
+
+/**
+ * Shared helper for parse, count, choose and the other functions that take a template
+ * Parses the template string into nodes and collects its top-level patterns
+ * @param {string} template - The template string
+ * @param {SpintaxOptions} [options] - Options for pattern extraction, defaults filled in for those not given
+ * @param {Object} [internal] - Options that are not public
+ * @param {boolean} [internal.diagnose] - Collect the template's diagnostics
+ * @param {boolean} [internal.mergeIdenticalOptions] - Keep only the first of identical options, for countUnique
+ * @returns {Object} Object containing the source, nodes, top-level and named patterns, exclusions,
+ * the lexicon entries the template refers to, and the diagnostics if collected
+ * @private
+ */
+function parseTemplate(template, options = {}, internal = {}) {
+  // Without a lexicon, lexicon references may be meant for a later one
+  const lexiconGiven = options.lexicon !== undefined;
+  options = { ...withDefaults(options), ...internal };
+  const filters = { ...FILTERS, ...options.filters };
+  const pickMarkers = [options.combinationMarker, options.permutationMarker]
+    .filter(Boolean)
+    .map(escapeRegExp);
+  const delimiters = [
+    options.patternStart,
+    options.patternEnd,
+    options.separatorChoices,
+    options.escapeCharacter,
+  ]
+    .filter(Boolean)
+    .map(escapeRegExp);
+  const state = {
+    ...options,
+    filters,
+    escapable: escapableTokens(options),
+    backReference: new RegExp(
+      `^${escapeRegExp(options.backReferenceMarker)}(?:(\\d+)|(${NAME}))` +
+        `((?:${escapeRegExp(options.separatorChoices)}${NAME})*)$`
+    ),
+    capture: options.nameMarker
+      ? new RegExp(`^(${NAME})${escapeRegExp(options.nameMarker)}`)
+      : /$^/,
+    pick: pickMarkers.length
+      ? new RegExp(
+          `^(\\d+)(${pickMarkers.join("|")})` +
+            `(?:(\\s(?:(?!${delimiters.join("|")}|\\2)[^])*)\\2|\\s+)`
+        )
+      : /$^/,
+    condition: new RegExp(
+      `^\\s*(?:(\\d+)|(${NAME}))\\s*${escapeRegExp(options.nameMarker)}` +
+        `\\s*([^]*?)\\s*$`
+    ),
+    lexiconReference: options.lexiconMarker
+      ? new RegExp(`^${escapeRegExp(options.lexiconMarker)}(${NAME})$`)
+      : /$^/,
+    diagnostics: options.strict || options.diagnose ? new Map() : undefined,
+    literalExclusions: new Map(),
+    lexiconGiven,
+  };
+  state.matches = matchDelimiters(template, state);
+  const nodes = parseNodes(template, state);
+
+  const program = {
+    source: template,
+    nodes,
+    slots: nodes.filter(isSlot),
+    names: collectNames(nodes),
+    exclusions: nodes.filter((node) => node.type === "exclusion"),
+    joiner: options.joiner,
+    filters,
+    lexicon: state.entries,
+  };
+  if (!state.diagnostics) return program;
+
+  checkReferences(program, state);
+  program.diagnostics = [...state.diagnostics.values()]
+    .sort((a, b) => a.start - b.start)
+    .map((diagnostic) => ({
+      ...diagnostic,
+      ...lineColumn(template, diagnostic.start),
+    }));
+
+  const error = program.diagnostics.find(
+    ({ severity }) => severity === "error"
+  );
+  if (options.strict && error) {
+    throw new SpintaxSyntaxError(error, program.diagnostics);
+  }
+  return program;
+}
+
+/**
+ * Parses the top level of a template
+ * An exclusion with a condition for a pattern that doesn't exist is most likely
+ * text followed by a pattern, like "Hurry!{color=red|blue}", so the template is
+ * parsed again with it as literal text
+ * @param {string} template - The template string
+ * @param {Object} state - Parser state (options, delimiter matches)
+ * @returns {Array<Object>} The top-level nodes
+ * @private
+ */
+function parseNodes(template, state) {
+  // Diagnostics found before parsing, like those for unmatched delimiters
+  const { diagnostics } = state;
+  for (;;) {
+    state.entries = new Map();
+    state.diagnostics = diagnostics && new Map(diagnostics);
+    state.referencedNames = referencedNames(template, state);
+    const [nodes] = parseOptions(template, 0, template.length, null, state);
+
+    const slots = nodes.filter(isSlot);
+    const names = collectNames(nodes);
+    const missing = nodes.flatMap((node) => {
+      if (node.type !== "exclusion") return [];
+      const condition = node.conditions.find(({ index, name }) =>
+        index !== undefined ? index >= slots.length : !names.has(name)
+      );
+      return condition ? [[node, condition]] : [];
+    });
+    if (missing.length === 0) return nodes;
+
+    for (const [{ start, end }, { index, name }] of missing) {
+      state.literalExclusions.set(start, { end, target: index ?? name });
+    }
+  }
+}
+
+/**
+ * Escapes the given tokens in literal text
+ * @param {string} text - The literal text
+ * @param {Array<string>} tokens - Tokens to escape, longest first
+ * @param {string} escapeCharacter - The escape character
+ * @returns {string} The escaped text
+ * @private
+ */
+function escapeLiteral(text, tokens, escapeCharacter) {
+  if (!escapeCharacter || tokens.length === 0) return text;
+
+  const tokenRegex = new RegExp(tokens.map(escapeRegExp).join("|"), "g");
+  return text.replace(tokenRegex, (token) => escapeCharacter + token);
+}
+
+/**
+ * Turns a list of nodes back into template text
+ * @param {Array<Object>} nodes - The nodes to stringify
+ * @param {Object} options - Options for pattern syntax
+ * @param {Array<string>} tokens - Tokens to escape in literal text
+ * @returns {string} The template text
+ * @private
+ */
+function stringifyNodes(nodes, options, tokens) {
+  const { exclusionMarker, escapeCharacter } = options;
+
+  return nodes
+    .map((node, i) => {
+      const text = stringifyNode(node, options, tokens);
+      const next = nodes[i + 1];
+
+      // Literal text right before a pattern could be mistaken for an exclusion
+      return node.type === "literal" &&
+        next &&
+        next.type !== "literal" &&
+        exclusionMarker &&
+        escapeCharacter &&
+        text.endsWith(exclusionMarker)
+        ? text.slice(0, -exclusionMarker.length) +
+            escapeCharacter +
+            exclusionMarker
+        : text;
+    })
+    .join("");
+}
+
+/**
+ * Turns a node back into template text
+ * @param {Object} node - The node to stringify
+ * @param {Object} options - Options for pattern syntax
+ * @param {Array<string>} tokens - Tokens to escape in literal text
+ * @returns {string} The template text
+ * @private
+ */
+function stringifyNode(node, options, tokens) {
+  const {
+    patternStart,
+    patternEnd,
+    separatorRange,
+    separatorChoices,
+    backReferenceMarker,
+    weightMarker,
+    nameMarker,
+    optionalMarker,
+    exclusionMarker,
+    combinationMarker,
+    permutationMarker,
+    lexiconMarker,
+    escapeCharacter,
+  } = options;
+
+  const name = node.name !== undefined ? node.name + nameMarker : "";
+
+  switch (node.type) {
+    case "template":
+      return stringifyNodes(node.nodes, options, tokens);
+    case "literal":
+      return escapeLiteral(node.value, tokens, escapeCharacter);
+    case "reference": {
+      const target = node.name !== undefined ? node.name : node.index;
+      const filters = (node.filters || []).map(
+        (filter) => separatorChoices + filter
+      );
+      return (
+        patternStart +
+        backReferenceMarker +
+        target +
+        filters.join("") +
+        patternEnd
+      );
+    }
+    case "exclusion": {
+      const valueTokens = escapableTokens({
+        patternStart,
+        patternEnd,
+        separatorRange,
+        escapeCharacter,
+      });
+      const conditions = node.conditions.map(
+        ({ index, name: target = index, value }) =>
+          target +
+          nameMarker +
+          escapeLiteral(value, valueTokens, escapeCharacter)
+      );
+      return (
+        exclusionMarker +
+        patternStart +
+        conditions.join(separatorRange) +
+        patternEnd
+      );
+    }
+    case "pick": {
+      const marker = node.ordered ? permutationMarker : combinationMarker;
+      const joiner = node.joiner !== undefined ? node.joiner + marker : " ";
+      const itemTokens = escapableTokens({
+        patternStart,
+        patternEnd,
+        separatorChoices,
+        escapeCharacter,
+        ...(node.joiner === undefined &&
+          (node.ordered ? { permutationMarker } : { combinationMarker })),
+      });
+      const items = node.options.map((option) =>
+        stringifyNodes(option, options, itemTokens)
+      );
+      return (
+        patternStart +
+        name +
+        node.k +
+        marker +
+        joiner +
+        items.join(separatorChoices) +
+        patternEnd
+      );
+    }
+    case "lexicon":
+      return patternStart + name + lexiconMarker + node.entry + patternEnd;
+    case "range": {
+      const bounds = [node.from, node.to].map((bound) =>
+        node.pad ? padNumber(bound, node.pad) : bound
+      );
+      if (node.step !== defaultStep(node.from, node.to)) {
+        bounds.push(node.step);
+      }
+      return patternStart + name + bounds.join(separatorRange) + patternEnd;
+    }
+    case "choice": {
+      // The empty option of an optional segment is implied by the marker
+      const last = node.options.length - 1;
+      const optional =
+        node.optional &&
+        last === 1 &&
+        node.options[last].length === 0 &&
+        !(node.weights && node.weights[last] !== undefined);
+      const choices = optional ? node.options.slice(0, -1) : node.options;
+
+      // A single plain option could be mistaken for a range or back reference
+      const plain =
+        !optional &&
+        choices.length === 1 &&
+        choices[0].every((child) => child.type === "literal");
+      const plainText =
+        plain && choices[0].map((child) => child.value).join("");
+      const ambiguous =
+        plain &&
+        (isRangePattern(plainText, separatorRange) ||
+          plainText.match(
+            new RegExp(`^${escapeRegExp(backReferenceMarker)}(\\d+|${NAME})$`)
+          ) ||
+          plainText.match(
+            new RegExp(`^${escapeRegExp(lexiconMarker)}${NAME}$`)
+          ));
+      const optionTokens = escapableTokens({
+        patternStart,
+        patternEnd,
+        separatorChoices,
+        weightMarker,
+        escapeCharacter,
+        ...(ambiguous && {
+          separatorRange,
+          backReferenceMarker,
+          lexiconMarker,
+        }),
+      });
+      const rendered = choices.map((option, i) => {
+        const weight = node.weights && node.weights[i];
+        const text = stringifyNodes(option, options, optionTokens);
+        return weight !== undefined ? text + weightMarker + weight : text;
+      });
+      let content = rendered.join(separatorChoices);
+
+      // Content of an unnamed pattern could be mistaken for a name,
+      // unless other options start with the same name
+      const nameMatch =
+        !name &&
+        !optional &&
+        nameMarker &&
+        content.match(new RegExp(`^(${NAME})${escapeRegExp(nameMarker)}`));
+      if (
+        nameMatch &&
+        !rendered.slice(1).some((text) => text.startsWith(nameMatch[0]))
+      ) {
+        content =
+          nameMatch[1] + escapeCharacter + content.slice(nameMatch[1].length);
+      }
+
+      // Content of a required pattern with a single option could be mistaken
+      // for an optional one
+      if (
+        !optional &&
+        optionalMarker &&
+        choices.length === 1 &&
+        content.startsWith(optionalMarker) &&
+        content.length > optionalMarker.length
+      ) {
+        content = escapeCharacter + content;
+      }
+
+      // Content starting with a count, a pick marker and whitespace could be mistaken for a pick
+      const pickMatch = !optional && content.match(/^\d+/);
+      const pickMarker =
+        pickMatch &&
+        [combinationMarker, permutationMarker].find(
+          (marker) =>
+            marker &&
+            content.startsWith(marker, pickMatch[0].length) &&
+            /^\s/.test(content.slice(pickMatch[0].length + marker.length))
+        );
+      if (pickMarker) {
+        content =
+          pickMatch[0] + escapeCharacter + content.slice(pickMatch[0].length);
+      }
+
+      const marker = optional ? optionalMarker : "";
+      return patternStart + name + marker + content + patternEnd;
+    }
+  }
+}
+
+/**
+ * Finds the pattern a back reference refers to
+ * @param {Object} node - The back reference node
+ * @param {Object} program - The parsed template
+ * @returns {Object|undefined} The pattern, or undefined if it doesn't come before the back reference
+ * @private
+ */
+function referenceTarget(node, program) {
+  const target =
+    node.name !== undefined
+      ? (program.names.get(node.name) || [])
+          .filter((candidate) => candidate.end <= node.start)
+          .pop()
+      : program.slots[node.index];
+  return target && target.end <= node.start ? target : undefined;
+}
+
+/**
+ * Reports back references and exclusions that don't refer to a pattern,
+ * and pattern names nothing refers to
+ * @param {Object} program - The parsed template
+ * @param {Object} state - Parser state (options)
+ * @private
+ */
+function checkReferences(program, state) {
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === "reference" && !referenceTarget(node, program)) {
+        const source = program.source.slice(node.start, node.end);
+        report(
+          state,
+          "invalid-back-reference",
+          "error",
+          node.start,
+          node.end,
+          `Back reference "${source}" doesn't refer to an earlier pattern, so it is literal text`
+        );
+      }
+      if (node.type === "choice") node.options.forEach(visit);
+    }
+  };
+  visit(program.nodes);
+
+  // A name drops its text from the output, so one nothing refers to may be text
+  for (const [name, nodes] of program.names) {
+    if (state.referencedNames.has(name)) continue;
+    for (const node of nodes) {
+      report(
+        state,
+        "unreferenced-name",
+        "warning",
+        node.start,
+        node.end,
+        `Nothing in the template refers to "${name}", so "${name}${state.nameMarker}" names the pattern and isn't output`
+      );
+    }
+  }
+
+  for (const [start, { end, target }] of state.literalExclusions) {
+    report(
+      state,
+      "invalid-exclusion",
+      "warning",
+      start,
+      end,
+      `Exclusion refers to pattern "${target}", which doesn't exist, so it is literal text and a pattern`
+    );
+  }
+}
+
+/**
+ * Resolves a back reference against the values chosen so far
+ * Positional back references count top-level patterns, named back references
+ * refer to the closest earlier pattern with that name, at any depth.
+ * Back references may only point backwards, anything else is emitted verbatim.
+ * Filters are applied to the referenced value in order
+ * @param {Object} node - The back reference node
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @returns {any} The referenced value, or "" if the pattern wasn't chosen
+ * @private
+ */
+function resolveReference(node, program, values) {
+  const target = referenceTarget(node, program);
+
+  if (target) {
+    // Nested patterns in options that weren't chosen have no value
+    const value = values.has(target) ? values.get(target) : "";
+    return node.filters
+      ? node.filters.reduce(
+          (result, filter) => program.filters[filter](result),
+          String(value)
+        )
+      : value;
+  }
+
+  // Invalid back reference
+  return program.source.slice(node.start, node.end);
+}
+
+/**
+ * Creates the range generator for a range node
+ * @param {Object} node - The range node
+ * @returns {RangeGenerator}
+ * @private
+ */
+const rangeOf = (node) =>
+  range(node.from, node.to, node.step, true, { pad: node.pad });
+
+/**
+ * Creates the pick generator for a pick node
+ * @param {Object} node - The pick node
+ * @param {string} [joiner] - Joiner to use if the pattern doesn't have its own
+ * @returns {PickGenerator}
+ * @private
+ */
+const pickOf = (node, joiner) =>
+  new PickGenerator(
+    node.options.map((option) => option.map((child) => child.value).join("")),
+    node.k,
+    {
+      ordered: node.ordered,
+      joiner: node.joiner !== undefined ? node.joiner : joiner,
+    }
+  );
+
+/**
+ * Values read from one-shot iterators given as lexicon entries, like generator objects,
+ * so the same lexicon can be passed to more than one call
+ * @private
+ */
+const iteratorValues = new WeakMap();
+
+/**
+ * Turns a lexicon entry into a generator with a size and indexed access
+ * Generators like `range` are used as they are, other iterables are read into a list
+ * @param {Iterable<any>|Function} entry - The values, or a function returning them
+ * @returns {CartesianGenerator} Generator with `size` and `at`
+ * @private
+ */
+function lexiconGenerator(entry) {
+  const source = typeof entry === "function" ? entry() : entry;
+  if (typeof source?.at === "function" && "size" in Object(source)) {
+    return source;
+  }
+  if (Array.isArray(source)) return new ChoicesGenerator(source);
+  if (typeof source?.next !== "function") {
+    return new ChoicesGenerator([...source]);
+  }
+
+  // An iterator can only be read once
+  if (!iteratorValues.has(source)) iteratorValues.set(source, [...source]);
+  return new ChoicesGenerator(iteratorValues.get(source));
+}
+
+/**
+ * Gets the generator for a lexicon node
+ * @param {Object} node - The lexicon node
+ * @param {Object} program - The parsed template
+ * @returns {CartesianGenerator}
+ * @private
+ */
+const lexiconOf = (node, program) => program.lexicon.get(node.entry);
+
+/**
+ * Counts the number of values a node can take
+ * Sizes are BigInts, so products of large patterns stay exact
+ * @param {Object} node - The node to count
+ * @param {Object} program - The parsed template
+ * @returns {bigint} Number of values
+ * @private
+ */
+function sizeOf(node, program) {
+  switch (node.type) {
+    case "range":
+      return BigInt(rangeOf(node).size);
+    case "pick":
+      return pickOf(node).total;
+    case "lexicon":
+      return BigInt(lexiconOf(node, program).size);
+    case "choice":
+      // Each option contributes every combination of its own patterns
+      return node.options.reduce(
+        (total, option) => total + sequenceSize(option, program),
+        0n
+      );
+    default:
+      return 1n;
+  }
+}
+
+/**
+ * Counts the number of combinations of a list of nodes
+ * @param {Array<Object>} nodes - The nodes to count
+ * @param {Object} program - The parsed template
+ * @returns {bigint} Number of combinations
+ * @private
+ */
+const sequenceSize = (nodes, program) =>
+  nodes.reduce((total, node) => total * sizeOf(node, program), 1n);
+
+/**
+ * Converts an exact count to a number when it can be represented exactly
+ * @param {bigint} total - The count
+ * @param {boolean} [bigint=false] - Always return a BigInt
+ * @returns {number|bigint} A number, or a BigInt past Number.MAX_SAFE_INTEGER
+ * @private
+ */
+const toCount = (total, bigint = false) =>
+  bigint || total > BigInt(Number.MAX_SAFE_INTEGER) ? total : Number(total);
+
+/**
+ * Converts a number or BigInt index to a BigInt
+ * @param {number|bigint} index - The index
+ * @returns {bigint|null} The index, or null if it isn't an integer
+ * @private
+ */
+const toIndex = (index) =>
+  typeof index === "bigint"
+    ? index
+    : Number.isInteger(index)
+    ? BigInt(index)
+    : null;
+
+/**
+ * Converts an index given to a `choose` picker for a node to a BigInt
+ * @param {number|bigint} index - The index
+ * @param {Object} node - The pattern the index is for
+ * @param {Object} program - The parsed template
+ * @returns {bigint} The index
+ * @throws {RangeError} If the index isn't an integer from 0 to the last value of the node
+ * @private
+ */
+function toChoiceIndex(index, node, program) {
+  const choiceIndex = toIndex(index);
+  const size = sizeOf(node, program);
+  if (choiceIndex === null || choiceIndex < 0n || choiceIndex >= size) {
+    throw new RangeError(
+      `Index ${index} for the pattern at ${
+        node.start
+      } isn't an integer from 0 to ${size - 1n}`
+    );
+  }
+  return choiceIndex;
+}
+
+/**
+ * Yields every value a node can take
+ * @param {Object} node - The node to expand
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @returns {Generator<any>}
+ * @private
+ */
+function* expandNode(node, program, values) {
+  switch (node.type) {
+    case "literal":
+      yield node.value;
+      break;
+    case "reference":
+      yield resolveReference(node, program, values);
+      break;
+    case "exclusion":
+      yield "";
+      break;
+    case "range":
+      yield* rangeOf(node).values();
+      break;
+    case "pick":
+      yield* pickOf(node, program.joiner).values();
+      break;
+    case "lexicon":
+      yield* lexiconOf(node, program).values();
+      break;
+    case "choice":
+      for (const option of node.options) {
+        yield* expandSequence(option, program, values);
+        forgetValues(option, values);
+      }
+      break;
+  }
+}
+
+/**
+ * Yields every combination of a list of nodes, rightmost node first
+ * @param {Array<Object>} nodes - The nodes to expand
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {number} [index=0] - Index of the first node to expand
+ * @returns {Generator<string>}
+ * @private
+ */
+function* expandSequence(nodes, program, values, index = 0) {
+  if (index === nodes.length) {
+    yield "";
+    return;
+  }
+
+  const node = nodes[index];
+  for (const value of expandNode(node, program, values)) {
+    // Remember the value so later back references can use it
+    values.set(node, value);
+    for (const rest of expandSequence(nodes, program, values, index + 1)) {
+      yield value + rest;
+    }
+  }
+}
+
+/**
+ * Yields the values a node can take, starting at a given index,
+ * without going through the values before it
+ * @param {Object} node - The node to expand
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {bigint} offset - Index of the first value
+ * @returns {Generator<any>}
+ * @private
+ */
+function* expandNodeFrom(node, program, values, offset) {
+  if (offset === 0n) {
+    yield* expandNode(node, program, values);
+    return;
+  }
+
+  if (node.type === "choice") {
+    for (const option of node.options) {
+      const size = sequenceSize(option, program);
+      if (offset >= size) {
+        offset -= size;
+        continue;
+      }
+      yield* expandSequenceFrom(option, program, values, offset);
+      forgetValues(option, values);
+      offset = 0n;
+    }
+    return;
+  }
+
+  // Ranges, picks and lexicon references have indexed access
+  const size = sizeOf(node, program);
+  for (let index = offset; index < size; index++) {
+    yield renderNodeAt(node, index, program, values);
+  }
+}
+
+/**
+ * Yields the combinations of a list of nodes, starting at a given index,
+ * in the same order as expandSequence
+ * @param {Array<Object>} nodes - The nodes to expand
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {bigint} offset - Index of the first combination
+ * @param {number} [index=0] - Index of the first node to expand
+ * @returns {Generator<string>}
+ * @private
+ */
+function* expandSequenceFrom(nodes, program, values, offset, index = 0) {
+  if (offset === 0n) {
+    yield* expandSequence(nodes, program, values, index);
+    return;
+  }
+
+  const node = nodes[index];
+  const restSize = sequenceSize(nodes.slice(index + 1), program);
+  let restOffset = offset % restSize;
+  for (const value of expandNodeFrom(
+    node,
+    program,
+    values,
+    offset / restSize
+  )) {
+    values.set(node, value);
+    for (const rest of expandSequenceFrom(
+      nodes,
+      program,
+      values,
+      restOffset,
+      index + 1
+    )) {
+      yield value + rest;
+    }
+    restOffset = 0n;
+  }
+}
+
+/**
+ * Renders a list of nodes from left to right
+ * @param {Array<Object>} nodes - The nodes to render
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {Function} render - Returns the value for a node and its position
+ * @returns {string} The rendered string
+ * @private
+ */
+function renderSequence(nodes, values, render) {
+  let result = "";
+  nodes.forEach((node, i) => {
+    const value = render(node, i);
+    values.set(node, value);
+    result += value;
+  });
+  return result;
+}
+
+/**
+ * Renders the value at a given index of a node
+ * Indices into a choice cover the combinations of all of its options in order
+ * @param {Object} node - The node to render
+ * @param {bigint} index - Index of the value
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @returns {any} The value at the index
+ * @private
+ */
+function renderNodeAt(node, index, program, values) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "reference":
+      return resolveReference(node, program, values);
+    case "exclusion":
+      return "";
+    case "range":
+      return rangeOf(node).at(Number(index));
+    case "pick":
+      return pickOf(node, program.joiner).at(index);
+    case "lexicon": {
+      const generator = lexiconOf(node, program);
+      return generator.at(
+        typeof generator.size === "bigint" ? index : Number(index)
+      );
+    }
+    case "choice":
+      for (const option of node.options) {
+        const size = sequenceSize(option, program);
+        if (index < size) {
+          return renderSequenceAt(option, index, program, values);
+        }
+        index -= size;
+      }
+      return undefined;
+  }
+}
+
+/**
+ * Renders the combination at a given index of a list of nodes
+ * @param {Array<Object>} nodes - The nodes to render
+ * @param {bigint} index - Index of the combination (rightmost node varies fastest)
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @returns {string} The rendered combination
+ * @private
+ */
+function renderSequenceAt(nodes, index, program, values) {
+  const indices = new Array(nodes.length);
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const size = sizeOf(nodes[i], program);
+    indices[i] = index % size;
+    index /= size;
+  }
+
+  return renderSequence(nodes, values, (node, i) =>
+    renderNodeAt(node, indices[i], program, values)
+  );
+}
+
+/**
+ * Computes the probability of picking each option of a choice at random
+ * Options are weighted by their weight, or uniformly if no option has a positive weight
+ * @param {Object} node - The choice node
+ * @returns {Array<number>} Probability of each option
+ * @private
+ */
+function optionProbabilities(node) {
+  const weights = node.options.map((_, i) =>
+    node.weights && node.weights[i] !== undefined ? node.weights[i] : 1
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return total > 0
+    ? weights.map((weight) => weight / total)
+    : weights.map(() => 1 / weights.length);
+}
+
+/**
+ * Collects the values of the current combination for constraints
+ * Patterns that weren't chosen have an empty value
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @returns {[Array<any>, Object<string, any>]} Values of the top-level patterns, and of the named patterns
+ * @private
+ */
+function combinationValues(program, values) {
+  const positional = program.slots.map((slot) =>
+    values.has(slot) ? values.get(slot) : ""
+  );
+  const named = {};
+  for (const [name, nodes] of program.names) {
+    const chosen = nodes.filter((node) => values.has(node)).pop();
+    named[name] = chosen ? values.get(chosen) : "";
+  }
+  return [positional, named];
+}
+
+/**
+ * Checks the current combination against the template's exclusions
+ * and a where predicate
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {Function} [where] - Predicate over the positional and named values
+ * @returns {boolean} True if the combination is allowed
+ * @private
+ */
+function isAllowed(program, values, where) {
+  if (program.exclusions.length === 0 && !where) return true;
+
+  const [positional, named] = combinationValues(program, values);
+  const excluded = program.exclusions.some((exclusion) =>
+    exclusion.conditions.every(
+      ({ index, name, value }) =>
+        String(index !== undefined ? positional[index] : named[name]) === value
+    )
+  );
+  return !excluded && (!where || Boolean(where(positional, named)));
+}
+
+/**
+ * Yields every combination of a template the constraints allow, in order
+ * @param {Object} program - The parsed template
+ * @param {Function} [where] - Predicate over the positional and named values
+ * @returns {Generator<string>}
+ * @private
+ */
+function* expandAllowed(program, where) {
+  const values = new Map();
+  for (const text of expandSequence(program.nodes, program, values)) {
+    if (isAllowed(program, values, where)) yield text;
+  }
+}
+
+/**
+ * Creates a function that describes a combination of a template
+ * @param {Object} program - The parsed template
+ * @returns {Function} Function that takes the text of a combination, the values chosen for
+ * each node and its position or indices, and returns `{text, index, choices, values}`
+ * @private
+ */
+function createEntry(program) {
+  const sizes = program.slots.map((slot) => sizeOf(slot, program));
+  // Literal text and exclusions have no value worth reporting
+  const valued = program.nodes.filter(
+    ({ type }) => type !== "literal" && type !== "exclusion"
+  );
+
+  return (text, values, index, choices) => {
+    if (choices === undefined) {
+      // Mixed-radix decoding, the rightmost pattern is the least significant digit
+      choices = new Array(sizes.length);
+      for (let i = sizes.length - 1, rest = index; i >= 0; i--) {
+        choices[i] = rest % sizes[i];
+        rest /= sizes[i];
+      }
+    } else {
+      index = choices.reduce(
+        (total, choice, i) => total * sizes[i] + choice,
+        0n
+      );
+    }
+    return {
+      text,
+      index: toCount(index),
+      choices: choices.map((choice) => toCount(choice)),
+      values: valued.map((node) => values.get(node)),
+    };
+  };
+}
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32)
+ * Only uses 32-bit integer arithmetic, so a seed yields the same sequence
+ * in every JavaScript engine
+ * @param {string|number} seed - The seed
+ * @returns {Function} Function that returns numbers in [0, 1) like Math.random
+ * @private
+ */
+function createRandom(seed) {
+  // Hash the seed into a 32-bit state (FNV-1a)
+  let state = 0x811c9dc5;
+  for (const character of String(seed)) {
+    state = Math.imul(state ^ character.codePointAt(0), 0x01000193);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Mask for 64-bit BigInt arithmetic
+ * @private
+ */
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Number of Feistel rounds used to permute indices
+ * @private
+ */
+const PERMUTATION_ROUNDS = 6;
+
+/**
+ * Yields every index below a total exactly once, in pseudo-random order
+ *
+ * Indices are shuffled by a keyed Feistel network over the smallest power
+ * of four covering the total, skipping results that fall outside of it
+ * (cycle walking). Memory use is constant however large the total is.
+ * @param {bigint} total - Number of indices
+ * @param {Function} random - Source of random numbers in [0, 1) for the keys
+ * @returns {Generator<bigint>}
+ * @private
+ */
+function* permutation(total, random) {
+  if (total <= 1n) {
+    if (total === 1n) yield 0n;
+    return;
+  }
+
+  // Split the indices into two halves of equal width
+  const bits = BigInt((total - 1n).toString(2).length);
+  const halfBits = (bits + 1n) / 2n;
+  const halfMask = (1n << halfBits) - 1n;
+  const keys = Array.from(
+    { length: PERMUTATION_ROUNDS },
+    () =>
+      (BigInt(Math.floor(random() * 2 ** 32)) << 32n) |
+      BigInt(Math.floor(random() * 2 ** 32))
+  );
+
+  // Round function (splitmix64 finalizer)
+  const round = (half, key) => {
+    let x = (half ^ key) & MASK_64;
+    x = ((x ^ (x >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK_64;
+    x = ((x ^ (x >> 27n)) * 0x94d049bb133111ebn) & MASK_64;
+    return (x ^ (x >> 31n)) & halfMask;
+  };
+
+  const domain = 1n << (halfBits * 2n);
+  for (let i = 0n; i < domain; i++) {
+    let left = i >> halfBits;
+    let right = i & halfMask;
+    for (const key of keys) {
+      [left, right] = [right, left ^ round(right, key)];
+    }
+
+    const index = (left << halfBits) | right;
+    if (index < total) yield index;
+  }
+}
+
+/**
+ * Picks a random index according to a list of probabilities
+ * @param {Array<number>} probabilities - Probability of each index
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {number} The picked index
+ * @private
+ */
+function pickWeighted(probabilities, random) {
+  let threshold = random();
+  for (let i = 0; i < probabilities.length; i++) {
+    threshold -= probabilities[i];
+    if (threshold < 0 && probabilities[i] > 0) return i;
+  }
+
+  // Rounding errors can leave a tiny remainder, fall back to the last possible index
+  let last = probabilities.length - 1;
+  while (last > 0 && probabilities[last] === 0) last--;
+  return last;
+}
+
+/**
+ * Determines if a list of nodes holds a named pattern with a given index
+ * @param {Array<Object>} nodes - The nodes to search
+ * @param {Object} named - Indices by pattern name
+ * @returns {boolean} True if a named pattern at any depth has an index
+ * @private
+ */
+const hasNamedIndex = (nodes, named) =>
+  nodes.some(
+    (node) =>
+      node.type !== "reference" &&
+      ((node.name !== undefined && named[node.name] !== undefined) ||
+        (node.type === "choice" &&
+          node.options.some((option) => hasNamedIndex(option, named))))
+  );
+
+/**
+ * Scales probabilities so they add up to 1
+ * @param {Array<number>} probabilities - The probabilities
+ * @param {Array<boolean>} allowed - Indices to spread evenly over if all probabilities are 0
+ * @returns {Array<number>} The scaled probabilities
+ * @private
+ */
+function normalize(probabilities, allowed) {
+  const total = probabilities.reduce((sum, p) => sum + p, 0);
+  if (total > 0) return probabilities.map((p) => p / total);
+
+  const share = 1 / allowed.filter(Boolean).length;
+  return allowed.map((isAllowed) => (isAllowed ? share : 0));
+}
+
+/**
+ * Renders a random value of a node
+ * Choices pick one of their options by weight, then recurse into nested patterns
+ * @param {Object} node - The node to render
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @param {Object} [named={}] - Indices to use for named patterns instead of random ones
+ * @param {Map<Object, bigint>} [indices] - Receives the index of the value picked for each node
+ * @returns {any} A random value
+ * @private
+ */
+function renderNodeRandom(node, program, values, random, named = {}, indices) {
+  if (node.name !== undefined && named[node.name] !== undefined) {
+    const index = toChoiceIndex(named[node.name], node, program);
+    indices?.set(node, index);
+    return renderNodeAt(node, index, program, values);
+  }
+
+  switch (node.type) {
+    case "range": {
+      const generator = rangeOf(node);
+      const index = Math.floor(random() * generator.size);
+      indices?.set(node, BigInt(index));
+      return generator.at(index);
+    }
+    case "pick": {
+      const generator = pickOf(node, program.joiner);
+      const { total } = generator;
+      let index = BigInt(Math.floor(random() * Number(total)));
+      if (index >= total) index = total - 1n;
+      indices?.set(node, index);
+      return generator.at(index);
+    }
+    case "lexicon": {
+      const size = sizeOf(node, program);
+      let index = BigInt(Math.floor(random() * Number(size)));
+      if (index >= size) index = size - 1n;
+      indices?.set(node, index);
+      return renderNodeAt(node, index, program, values);
+    }
+    case "choice": {
+      // Options holding a named pattern with a given index win over the others
+      const requested = node.options.map((option) =>
+        hasNamedIndex(option, named)
+      );
+      const probabilities = requested.includes(true)
+        ? normalize(
+            optionProbabilities(node).map((p, i) => (requested[i] ? p : 0)),
+            requested
+          )
+        : optionProbabilities(node);
+      const picked = pickWeighted(probabilities, random);
+      const option = node.options[picked];
+      const value = renderSequence(option, values, (child) =>
+        renderNodeRandom(child, program, values, random, named, indices)
+      );
+      if (indices) {
+        // Options before the picked one, then the combination of its nodes
+        const index = node.options
+          .slice(0, picked)
+          .reduce(
+            (total, earlier) => total + sequenceSize(earlier, program),
+            0n
+          );
+        let offset = 0n;
+        for (const child of option) {
+          offset = offset * sizeOf(child, program) + indices.get(child);
+        }
+        indices.set(node, index + offset);
+      }
+      return value;
+    }
+    default:
+      indices?.set(node, 0n);
+      return renderNodeAt(node, 0n, program, values);
+  }
+}
+
+/**
+ * Yields every way a node can match the text at an offset
+ * @param {Object} node - The node to match
+ * @param {string} text - The text to match against
+ * @param {number} offset - Offset to start matching at
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @returns {Generator<Array<number>>} Pairs of end offset and probability of the match
+ * @private
+ */
+function* matchNode(node, text, offset, program, values) {
+  switch (node.type) {
+    case "range":
+    case "pick":
+    case "lexicon": {
+      const generator =
+        node.type === "range"
+          ? rangeOf(node)
+          : node.type === "pick"
+          ? pickOf(node, program.joiner)
+          : lexiconOf(node, program);
+      for (const value of generator.values()) {
+        if (text.startsWith(value, offset)) {
+          yield [offset + String(value).length, 1 / Number(generator.size)];
+        }
+      }
+      break;
+    }
+    case "choice": {
+      const probabilities = optionProbabilities(node);
+      for (let i = 0; i < node.options.length; i++) {
+        if (probabilities[i] === 0) continue;
+        for (const [end, probability] of matchSequence(
+          node.options[i],
+          text,
+          offset,
+          program,
+          values
+        )) {
+          yield [end, probability * probabilities[i]];
+        }
+        forgetValues(node.options[i], values);
+      }
+      break;
+    }
+    default: {
+      const value = String(renderNodeAt(node, 0n, program, values));
+      if (text.startsWith(value, offset)) {
+        yield [offset + value.length, 1];
+      }
+    }
+  }
+}
+
+/**
+ * Yields every way a list of nodes can match the text at an offset
+ * @param {Array<Object>} nodes - The nodes to match
+ * @param {string} text - The text to match against
+ * @param {number} offset - Offset to start matching at
+ * @param {Object} program - The parsed template
+ * @param {Map<Object, any>} values - Values chosen for each node
+ * @param {number} [index=0] - Index of the first node to match
+ * @returns {Generator<Array<number>>} Pairs of end offset and probability of the match
  * @private
  */
-function subHelper(template, { patternStart, patternEnd } = {}) {
-  // Find all {...} patterns
-  const patterns = [];
-  const patternRegex = new RegExp(
-    `${patternStart}([^${patternEnd}]+)${patternEnd}`,
-    "g"
-  );
-  const stringParts = [];
-  let lastIndex = 0;
-  let match;
-
-  while ((match = patternRegex.exec(template)) !== null) {
-    // Add the text before the pattern
-    stringParts.push(template.substring(lastIndex, match.index));
-
-    // Add the pattern itself
-    patterns.push(match[1]);
-
-    // Update the last index
-    lastIndex = match.index + match[0].length;
+function* matchSequence(nodes, text, offset, program, values, index = 0) {
+  if (index === nodes.length) {
+    yield [offset, 1];
+    return;
   }
 
-  // Add the remaining text after the last pattern
-  stringParts.push(template.substring(lastIndex));
-
-  return { patterns, stringParts };
+  const node = nodes[index];
+  for (const [middle, probability] of matchNode(
+    node,
+    text,
+    offset,
+    program,
+    values
+  )) {
+    // Remember the matched value so later back references can use it
+    values.set(node, text.slice(offset, middle));
+    for (const [end, rest] of matchSequence(
+      nodes,
+      text,
+      middle,
+      program,
+      values,
+      index + 1
+    )) {
+      yield [end, probability * rest];
+    }
+  }
 }
 
 /**
@@ -326,347 +3376,954 @@ function subHelper(template, { patternStart, patternEnd } = {}) {
  * Pattern formats:
  * - {1,10} - Range from 1 to 10 (whitespace ignored)
  * - {1,10,2} - Range from 1 to 10 with step 2 (whitespace ignored)
+ * - {10,1} - Descending range from 10 to 1 (step -1)
+ * - {0,1,0.1} - Range with a decimal step, without floating-point error
+ * - {a,z} - Range of characters from a to z
+ * - {001,100} - Range from 1 to 100, zero padded to 3 digits
  * - {option1|option2|option3} - Choices between options (whitespace preserved)
  * - {singleOption} - Single choice (whitespace preserved)
- * - {$n} - Back reference to the nth choice (0-based index)
+ * - {option1|{option2|option3} option4} - Nested patterns inside options
+ * - {option1:3|option2:1} - Weighted choices, only used when choosing at random
+ * - {$n} - Back reference to the nth top-level choice (0-based index)
+ * - {#cities} - The values of the "cities" entry of the `lexicon` option
+ * - {2* option1|option2|option3} - Picks 2 distinct options, unordered (combinations)
+ * - {2! option1|option2|option3} - Picks 2 distinct options, ordered (permutations)
+ * - {2* and *option1|option2|option3} - Picks with a joiner between the picked options
+ * - !{0=a,name=b} - Exclusion, leaves out combinations where every condition holds
+ * - \{ \} \| \, \$ \\ - Escaped delimiters, separators and markers (literal text)
  *
  * @param {string} template - Template string with {...} patterns
- * @param {Object} options - Options for pattern parsing
- * @param {string} options.patternStart - Pattern start delimiter (default: '{')
- * @param {string} options.patternEnd - Pattern end delimiter (default: '}')
- * @param {string} options.separatorRange - Separator for range patterns (default: ',')
- * @param {string} options.separatorChoices - Separator for choices patterns (default: '|')
- * @param {string} options.backReferenceMarker - Marker for back references (default: '$')
- * @returns {IterableIterator<string>} Iterator of all pattern combinations
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @param {boolean} [options.shuffle=false] - Iterate the combinations in pseudo-random order instead
+ * @param {Function} [options.where] - Keeps only combinations it accepts, called with the values of the top-level patterns and an object of named pattern values
+ * @param {string|number} [options.seed] - Seed for the shuffled order, the same seed always gives the same order
+ * @param {Function} [options.random] - Custom source of random numbers in [0, 1) for the shuffled order
+ * @param {boolean|Object} [options.unique=false] - Remove duplicate outputs, counting them in the `duplicates`
+ * property of the iterable. Pass an object to set how much memory that takes:
+ * @param {number} [options.unique.limit=100000] - Number of distinct outputs remembered exactly. Past it,
+ * outputs are remembered in a Bloom filter, which can skip a rare output that isn't a duplicate
+ * @param {number} [options.unique.memory=16777216] - Size of the Bloom filter in bytes
+ * @param {boolean} [options.detailed=false] - Yield objects describing each combination instead
+ * of strings, like the `entries()` method of the iterable:
+ * - text - The combination
+ * - index - Its position in the output without constraints, as taken by `at`
+ * - choices - Index of the value of each top-level pattern, as taken by `choose` and `indexOf`
+ * - values - Values of the top-level patterns and back references, in template order
+ * @returns {IterableIterator<string>} Iterable of all pattern combinations, also async iterable
+ * (yielding to the event loop regularly), with an `entries()` method that yields detailed objects
  * @example
  * parse('Count: {1,5}') // Equivalent to compile`Count: ${range(1, 5)}`
  * parse('Color: {red|green|blue}') // Equivalent to compile`Color: ${['red', 'green', 'blue']}`
+ * parse('A {cat|{big|small} dog}') // "A cat", "A big dog", "A small dog"
  * parse('You {see|hear} that. Once you {$0}.') // Back references previous choice
+ * parse('{red|blue} {box|circle}', { shuffle: true, seed: 1 }) // Every combination once, shuffled
+ * parse('{free|pro} plan, {basic|premium} support !{0=free,1=premium}') // 3 combinations
+ * parse('{the |}{the |}end', { unique: true }) // "the the end", "the end", "end"
+ * parse('{red|blue} {$0|upper}', { detailed: true })
+ * // { text: "red RED", index: 0, choices: [0], values: ["red", "RED"] }, { text: "blue BLUE", ... }
  */
 function parse(
   template,
   {
-    patternStart = "{",
-    patternEnd = "}",
-    separatorRange = ",",
-    separatorChoices = "|",
-    backReferenceMarker = "$"
+    where,
+    shuffle = false,
+    seed,
+    random,
+    unique = false,
+    detailed = false,
+    ...options
   } = {}
 ) {
-  const { patterns, stringParts } = subHelper(template, {
-    patternStart,
-    patternEnd
-  });
+  const distinctOptions = unique && uniqueOptions(unique);
+  const program = parseTemplate(template, options);
 
-  // First pass: identify back references
-  const backReferenceRegex = new RegExp(`\\${backReferenceMarker}(\\d+)`);
-  const backReferences = [];
-  const generatorPatterns = [];
-  
-  // Separate back references from regular patterns
-  for (const pattern of patterns) {
-    const backRefMatch = pattern.match(backReferenceRegex);
-    
-    if (backRefMatch && backRefMatch[0] === pattern && pattern.trim() === backRefMatch[0]) {
-      // This is a back reference pattern
-      const refIndex = parseInt(backRefMatch[1], 10);
-      backReferences.push(refIndex);
-      generatorPatterns.push(null); // Placeholder
-    } else {
-      // Regular pattern
-      backReferences.push(null);
-      generatorPatterns.push(pattern);
-    }
-  }
-  
-  // Convert patterns to generators
-  const generators = generatorPatterns.map((pattern) => {
-    if (!pattern) {
-      // Back reference placeholder - use a dummy generator with a single value
-      // It will be replaced during iteration with actual referenced value
-      return new StaticGenerator(""); // Just a placeholder
-    } else if (isRangePattern(pattern, separatorRange)) {
-      // It's a range pattern, parse ignoring whitespace
-      const [start, end, step] = parseRangePattern(pattern, separatorRange);
-      return range(start, end, step);
-    } else {
-      // It's a choices pattern, preserve whitespace
-      return pattern.split(separatorChoices);
+  function* combine(entry) {
+    if (!shuffle && !entry) {
+      yield* expandAllowed(program, where);
+      return;
     }
-  });
 
-  // Create template strings array (needs to have a raw property)
-  const templateStrings = Object.assign([...stringParts], {
-    raw: [...stringParts],
-  });
-  
-  // Custom generator to handle back references
-  return {
-    [Symbol.iterator]: function* () {
-      // First, identify the actual choice patterns (non-back references)
-      const actualChoicePatterns = [];
-      const actualChoiceIndices = [];
-      
-      for (let i = 0; i < generatorPatterns.length; i++) {
-        if (backReferences[i] === null) {
-          // This is a regular pattern (not a back reference)
-          actualChoicePatterns.push(generators[i]); // Keep the generator
-          actualChoiceIndices.push(i); // Remember its original position
+    if (!shuffle) {
+      const values = new Map();
+      let index = 0n;
+      for (const text of expandSequence(program.nodes, program, values)) {
+        if (isAllowed(program, values, where)) {
+          yield entry(text, values, index);
         }
+        index++;
       }
-      
-      // Generate all combinations of actual choices
-      for (const actualCombination of cartesianProduct(actualChoicePatterns)) {
-        // Create a combination with back references resolved
-        const resolvedCombination = new Array(patterns.length);
-        
-        // First, place the actual choices in their original positions
-        for (let i = 0; i < actualCombination.length; i++) {
-          const originalIndex = actualChoiceIndices[i];
-          resolvedCombination[originalIndex] = actualCombination[i];
-        }
-        
-        // Then, resolve the back references
-        for (let i = 0; i < patterns.length; i++) {
-          if (backReferences[i] !== null) {
-            // This is a back reference
-            const refIndex = backReferences[i];
-            
-            // Find the actual value it refers to by finding the refIndex-th actual choice
-            let actualChoicesSeen = 0;
-            let refValue = null;
-            
-            for (let j = 0; j < i; j++) {
-              if (backReferences[j] === null) {
-                // This is an actual choice
-                if (actualChoicesSeen === refIndex) {
-                  // This is the one we want
-                  refValue = resolvedCombination[j];
-                  break;
-                }
-                actualChoicesSeen++;
-              }
-            }
-            
-            if (refValue !== null) {
-              // Valid back reference
-              resolvedCombination[i] = refValue;
-            } else {
-              // Invalid back reference
-              resolvedCombination[i] = `{${backReferenceMarker}${refIndex}}`;
-            }
-          }
-        }
-        
-        // Build the result string
-        let result = stringParts[0];
-        for (let i = 0; i < resolvedCombination.length; i++) {
-          result += resolvedCombination[i] + stringParts[i + 1];
-        }
-        
-        yield result;
+      return;
+    }
+
+    // A fresh generator per iteration, so a seed always gives the same order
+    const source =
+      random || (seed === undefined ? Math.random : createRandom(seed));
+    for (const index of permutation(
+      sequenceSize(program.nodes, program),
+      source
+    )) {
+      const values = new Map();
+      const text = renderSequenceAt(program.nodes, index, program, values);
+      if (isAllowed(program, values, where)) {
+        yield entry ? entry(text, values, index) : text;
       }
     }
+  }
+
+  // Entries are told apart by their text when removing duplicates
+  const iterate = (entries, counter) => {
+    const combinations = combine(entries && createEntry(program));
+    if (!distinctOptions) return combinations;
+    counter.duplicates = 0;
+    const total = sequenceSize(program.nodes, program);
+    return distinct(
+      combinations,
+      distinctOptions,
+      total,
+      counter,
+      entries ? ({ text }) => text : String
+    );
+  };
+
+  return {
+    ...(distinctOptions && { duplicates: 0 }),
+    [Symbol.iterator]() {
+      return iterate(detailed, this);
+    },
+    entries() {
+      return iterate(true, this);
+    },
+    [Symbol.asyncIterator]() {
+      return iterateAsync(this);
+    },
   };
 }
 
 /**
  * Counts the number of combinations for a given string template
  *
+ * Nested patterns count every combination of every option,
+ * so `{a|{b|c} d}` counts 3
+ *
  * Pattern formats:
  * - see "parse" function above
  * @param {string} template - Template string with {...} patterns
- * @param {Object} options - Options for counting
- * @param {string} options.patternStart - Pattern start delimiter (default: '{')
- * @param {string} options.patternEnd - Pattern end delimiter (default: '}')
- * @param {string} options.separatorRange - Separator for range patterns (default: ',')
- * @param {string} options.separatorChoices - Separator for choices patterns (default: '|')
- * @param {string} options.backReferenceMarker - Marker for back references (default: '$')
- * @returns {number} Total number of combinations
+ * @param {SpintaxOptions} [options] - Options for counting
+ * @param {boolean} [options.bigint=false] - Always return the total as a BigInt
+ * @param {string} [options.probabilityOf] - Output to report the probability of instead
+ * @param {Function} [options.where] - Only counts combinations it accepts, like `parse`
+ * @param {boolean|number} [options.estimate=false] - With exclusions or `where`, estimate the total
+ * from this many combinations picked at random (1000 if true) instead of checking every combination
+ * @param {string|number} [options.seed] - Seed for the combinations picked for an estimate
+ * @param {Function} [options.random] - Custom source of random numbers in [0, 1) for an estimate
+ * @returns {number|bigint} Total number of combinations (a BigInt past Number.MAX_SAFE_INTEGER),
+ * or the probability that `choose` picks `probabilityOf` at random
  * @example
  * count('Count: {1,5}') // 5
  * count('Color: {red|green|blue}') // 3
+ * count('{1,1000000}{1,1000000}{1,1000000}') // 1000000000000000000n
+ * count('Color: {red:3|blue:1}', { weightMarker: ':', probabilityOf: 'Color: red' }) // 0.75
+ * count('{free|pro} {basic|premium} !{0=free,1=premium}') // 3
  */
 function count(
   template,
   {
-    patternStart = "{",
-    patternEnd = "}",
-    separatorRange = ",",
-    separatorChoices = "|",
-    backReferenceMarker = "$"
+    bigint = false,
+    probabilityOf,
+    where,
+    estimate = false,
+    seed,
+    random = seed === undefined ? Math.random : createRandom(seed),
+    ...options
   } = {}
 ) {
-  // Use the same pattern extraction as parse
-  const { patterns, stringParts } = subHelper(template, {
-    patternStart,
-    patternEnd,
-  });
+  const program = parseTemplate(template, options);
 
-  // First pass: identify back references
-  const backReferenceRegex = new RegExp(`\\${backReferenceMarker}(\\d+)`);
-  const actualChoicePatterns = [];
-  
-  // Separate back references from regular patterns
-  for (const pattern of patterns) {
-    const backRefMatch = pattern.match(backReferenceRegex);
-    
-    if (!(backRefMatch && backRefMatch[0] === pattern && pattern.trim() === backRefMatch[0])) {
-      // This is a regular pattern (not a back reference)
-      actualChoicePatterns.push(pattern);
-    }
-  }
-  
-  // Count is the product of the number of choices for each actual pattern
-  let totalCount = 1;
-  
-  actualChoicePatterns.forEach((pattern) => {
-    if (isRangePattern(pattern, separatorRange)) {
-      // It's a range pattern, parse ignoring whitespace
-      const [start, end, step] = parseRangePattern(pattern, separatorRange);
-      // Calculate the number of values in the range
-      const rangeCount = [...range(start, end, step)].length;
-      totalCount *= rangeCount;
-    } else {
-      // It's a choices pattern
-      totalCount *= pattern.split(separatorChoices).length;
+  if (probabilityOf !== undefined) {
+    // Add up every way the template can produce the output
+    let probability = 0;
+    for (const [end, matchProbability] of matchSequence(
+      program.nodes,
+      probabilityOf,
+      0,
+      program,
+      new Map()
+    )) {
+      if (end === probabilityOf.length) probability += matchProbability;
+    }
+    return probability;
+  }
+
+  return countAllowed(program, { bigint, where, estimate, random });
+}
+
+/**
+ * Counts the combinations of a parsed template the constraints allow
+ * @param {Object} program - The parsed template
+ * @param {Object} options - Options for counting, as passed to `count`
+ * @param {boolean} options.bigint - Always return the total as a BigInt
+ * @param {Function} [options.where] - Predicate over the positional and named values
+ * @param {boolean|number} options.estimate - Estimate the total from this many combinations picked at random
+ * @param {Function} options.random - Source of random numbers for an estimate
+ * @returns {number|bigint}
+ * @private
+ */
+function countAllowed(program, { bigint, where, estimate, random }) {
+  // Back references and literal text count as a single combination
+  const total = sequenceSize(program.nodes, program);
+  if (program.exclusions.length === 0 && !where) {
+    return toCount(total, bigint);
+  }
+
+  if (estimate) {
+    // Scale the share of allowed combinations in a sample up to the total
+    const samples = BigInt(estimate === true ? 1000 : estimate);
+    let checked = 0n;
+    let allowed = 0n;
+    for (const index of permutation(total, random)) {
+      const values = new Map();
+      renderSequenceAt(program.nodes, index, program, values);
+      if (isAllowed(program, values, where)) allowed++;
+      if (++checked >= samples) break;
     }
+    return toCount(
+      checked > 0n ? (2n * total * allowed + checked) / (2n * checked) : 0n,
+      bigint
+    );
+  }
+
+  let allowed = 0n;
+  for (const _ of expandAllowed(program, where)) allowed++;
+  return toCount(allowed, bigint);
+}
+
+/**
+ * Counts the combinations of a template like `count`, but counts the options
+ * of a choices pattern that are identical, like the two in `{a|a}`, only once
+ *
+ * It finds these duplicates in the template, without generating any output,
+ * so the count stays quick for any number of combinations. Outputs that are
+ * equal in other ways, like "the end" from both `{the |}{the |}end` options,
+ * are still counted; use `parse` with `unique` to remove those.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {SpintaxOptions} [options] - Options for counting
+ * @param {boolean} [options.bigint=false] - Always return the total as a BigInt
+ * @param {Function} [options.where] - Only counts combinations it accepts, like `parse`
+ * @param {boolean|number} [options.estimate=false] - With exclusions or `where`, estimate the total
+ * from this many combinations picked at random (1000 if true) instead of checking every combination
+ * @param {string|number} [options.seed] - Seed for the combinations picked for an estimate
+ * @param {Function} [options.random] - Custom source of random numbers in [0, 1) for an estimate
+ * @returns {number|bigint} Total number of combinations (a BigInt past Number.MAX_SAFE_INTEGER)
+ * @example
+ * countUnique('{a|a|b}') // 2, where count gives 3
+ * countUnique('{red|blue|red} {box|box}') // 2, "red box" and "blue box"
+ */
+function countUnique(
+  template,
+  {
+    bigint = false,
+    where,
+    estimate = false,
+    seed,
+    random = seed === undefined ? Math.random : createRandom(seed),
+    ...options
+  } = {}
+) {
+  const program = parseTemplate(template, options, {
+    mergeIdenticalOptions: true,
   });
-  
-  return totalCount;
+
+  return countAllowed(program, { bigint, where, estimate, random });
 }
 
 /**
  * Chooses one random or specified combination from the template
- * 
+ *
+ * Each index selects a value of the corresponding top-level pattern.
+ * For nested patterns the index runs over every combination of the pattern,
+ * in the same order as `parse`. Omitted indices are picked at random,
+ * following option weights.
+ *
  * @param {string} template - Template string with {...} patterns
- * @param {Object} options - Options for choosing
- * @param {string} options.patternStart - Pattern start delimiter (default: '{')
- * @param {string} options.patternEnd - Pattern end delimiter (default: '}')
- * @param {string} options.separatorRange - Separator for range patterns (default: ',')
- * @param {string} options.separatorChoices - Separator for choices patterns (default: '|')
- * @param {string} options.backReferenceMarker - Marker for back references (default: '$')
- * @returns {Function} Function that returns a single combination
+ * @param {SpintaxOptions} [options] - Options for choosing
+ * @param {string|number} [options.seed] - Seed for the built-in deterministic random number generator
+ * @param {Function} [options.random] - Custom source of random numbers in [0, 1) (default: Math.random)
+ * @param {boolean} [options.detailed=false] - Return objects describing the combination
+ * instead of strings, `{text, index, choices, values}` like `parse`
+ * @returns {Function} Function that returns a single combination, and throws a RangeError
+ * for an index that isn't an integer from 0 to the last value of its pattern
  * @example
  * const picker = choose("The {red|blue|green} {box|circle}");
  * picker() // Random combination like "The red box"
  * picker(0, 1) // Specific combination "The red circle"
+ * choose("The {red|blue|green} {box|circle}", { seed: 42 }) // Same picks on every run
+ * choose("The {red|blue|green} {box|circle}", { detailed: true })(2, 0)
+ * // { text: "The green box", index: 4, choices: [2, 0], values: ["green", "box"] }
  */
 const choose = (
   template,
   {
-    patternStart = "{",
-    patternEnd = "}",
-    separatorRange = ",",
-    separatorChoices = "|",
-    backReferenceMarker = "$"
+    seed,
+    random = seed === undefined ? Math.random : createRandom(seed),
+    detailed = false,
+    ...options
   } = {}
 ) => {
-  const { patterns, stringParts } = subHelper(template, {
-    patternStart,
-    patternEnd
-  });
+  const program = parseTemplate(template, options);
 
-  // First pass: identify back references
-  const backReferenceRegex = new RegExp(`\\${backReferenceMarker}(\\d+)`);
-  const backReferences = [];
-  const generatorPatterns = [];
-  
-  // Separate back references from regular patterns
-  for (const pattern of patterns) {
-    const backRefMatch = pattern.match(backReferenceRegex);
-    
-    if (backRefMatch && backRefMatch[0] === pattern && pattern.trim() === backRefMatch[0]) {
-      // This is a back reference pattern
-      const refIndex = parseInt(backRefMatch[1], 10);
-      backReferences.push(refIndex);
-      generatorPatterns.push(null); // Placeholder
-    } else {
-      // Regular pattern
-      backReferences.push(null);
-      generatorPatterns.push(pattern);
-    }
-  }
-  
-  // Convert patterns to arrays of values
-  const generators = generatorPatterns.map((pattern) => {
-    if (!pattern) {
-      // Back reference placeholder (will be replaced during resolution)
-      return [""]; // Dummy placeholder
-    } else if (isRangePattern(pattern, separatorRange)) {
-      // It's a range pattern, parse ignoring whitespace
-      const [start, end, step] = parseRangePattern(pattern, separatorRange);
-      return [...range(start, end, step)];
-    } else {
-      // It's a choices pattern, preserve whitespace
-      return pattern.split(separatorChoices);
-    }
-  });
+  const entry = detailed && createEntry(program);
 
   // Create the picker function
   return (...inputChoices) => {
-    // Create an array for all resolved values
-    const resolvedValues = new Array(patterns.length);
+    const values = new Map();
     let inputChoiceIndex = 0; // Track position in inputChoices
-    
-    // First, resolve actual pattern choices
-    for (let i = 0; i < patterns.length; i++) {
-      if (backReferences[i] === null) {
-        // This is a regular pattern (not a back reference)
-        const values = generators[i];
-        
-        // Get the choice index (provided or random)
-        const choiceIndex = inputChoices[inputChoiceIndex] !== undefined
-          ? inputChoices[inputChoiceIndex]
-          : Math.floor(Math.random() * values.length);
-        
-        // Store the selected value
-        resolvedValues[i] = values[choiceIndex];
-        inputChoiceIndex++; // Move to next input choice
+
+    // A single object holds indices by pattern name instead of position
+    const named =
+      inputChoices.length === 1 &&
+      typeof inputChoices[0] === "object" &&
+      inputChoices[0] !== null
+        ? inputChoices.pop()
+        : {};
+
+    // Indices of the values picked at random, for detailed results
+    const indices = entry ? new Map() : undefined;
+    const choices = [];
+
+    const text = renderSequence(program.nodes, values, (node) => {
+      if (!isSlot(node)) {
+        // Literal text and back references don't consume an input choice
+        return renderNodeAt(node, 0n, program, values);
+      }
+
+      // Get the choice index (provided or random)
+      const choiceIndex = inputChoices[inputChoiceIndex++];
+      if (choiceIndex !== undefined) {
+        const index = toChoiceIndex(choiceIndex, node, program);
+        choices.push(index);
+        return renderNodeAt(node, index, program, values);
       }
+      const value = renderNodeRandom(
+        node,
+        program,
+        values,
+        random,
+        named,
+        indices
+      );
+      choices.push(indices?.get(node));
+      return value;
+    });
+    return entry ? entry(text, values, undefined, choices) : text;
+  };
+};
+
+/**
+ * Returns the combination at a position of the template's output
+ *
+ * The position is decoded into one index per top-level pattern
+ * (rightmost pattern varies fastest, like `parse`), so any combination
+ * is reached without iterating to it.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {number|bigint} n - Position of the combination, negative positions count back from the end
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @returns {string|undefined} The combination, or undefined if the position is out of range
+ * @example
+ * at("{red|blue} {box|circle}", 1) // "red circle"
+ * at("{red|blue} {box|circle}", -1) // "blue circle"
+ */
+function at(template, n, options = {}) {
+  const program = parseTemplate(template, options);
+
+  const total = sequenceSize(program.nodes, program);
+  let index = toIndex(n);
+  if (index !== null && index < 0n) index += total;
+  if (index === null || index < 0n || index >= total) {
+    return undefined;
+  }
+
+  return renderSequenceAt(program.nodes, index, program, new Map());
+}
+
+/**
+ * Returns the position of a combination in the template's output
+ *
+ * The inverse of `at`: takes one index per top-level pattern (the same
+ * indices `choose` accepts) and encodes them into a single position.
+ * Back references don't take an index.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {Array<number|bigint>} choices - Index of the value of each top-level pattern
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @returns {number|bigint} The position of the combination (a BigInt past Number.MAX_SAFE_INTEGER),
+ * or -1 if the indices are invalid
+ * @example
+ * indexOf("{red|blue} {box|circle}", [0, 1]) // 1
+ * at("{red|blue} {box|circle}", indexOf("{red|blue} {box|circle}", [1, 0])) // "blue box"
+ */
+function indexOf(template, choices, options = {}) {
+  const program = parseTemplate(template, options);
+
+  if (choices.length !== program.slots.length) {
+    return -1;
+  }
+
+  // Mixed-radix encoding, the rightmost pattern is the least significant digit
+  let index = 0n;
+  for (let i = 0; i < program.slots.length; i++) {
+    const size = sizeOf(program.slots[i], program);
+    const choice = toIndex(choices[i]);
+    if (choice === null || choice < 0n || choice >= size) {
+      return -1;
     }
-    
-    // Then, resolve all back references
-    for (let i = 0; i < patterns.length; i++) {
-      if (backReferences[i] !== null) {
-        // This is a back reference
-        const refIndex = backReferences[i];
-        
-        // Count up to the nth actual choice
-        let actualChoiceCount = 0;
-        let refValue = null;
-        
-        for (let j = 0; j < patterns.length; j++) {
-          if (backReferences[j] === null) {
-            // This is an actual choice
-            if (actualChoiceCount === refIndex) {
-              // Found the referenced choice
-              refValue = resolvedValues[j];
-              break;
-            }
-            actualChoiceCount++;
-          }
-        }
-        
-        if (refValue !== null) {
-          // Valid back reference
-          resolvedValues[i] = refValue;
-        } else {
-          // Invalid back reference
-          resolvedValues[i] = `{${backReferenceMarker}${refIndex}}`;
-        }
+    index = index * size + choice;
+  }
+
+  return toCount(index);
+}
+
+/**
+ * Picks distinct combinations from the template at random, without replacement
+ *
+ * Combinations are drawn from a pseudo-random permutation of their positions,
+ * so memory use only depends on `k`, not on the number of combinations.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {number} k - Number of combinations to pick
+ * @param {SpintaxOptions} [options] - Options for sampling
+ * @param {Function} [options.where] - Only picks combinations it accepts, like `parse`
+ * @param {string|number} [options.seed] - Seed for the built-in deterministic random number generator
+ * @param {Function} [options.random] - Custom source of random numbers in [0, 1) (default: Math.random)
+ * @returns {Array<string>} Up to `k` combinations, each at a different position
+ * @example
+ * sample("{1,1000}-{1,1000}-{1,10}", 500, { seed: 42 }) // 500 distinct variants of 10 million
+ */
+function sample(
+  template,
+  k,
+  {
+    where,
+    seed,
+    random = seed === undefined ? Math.random : createRandom(seed),
+    ...options
+  } = {}
+) {
+  const program = parseTemplate(template, options);
+
+  const results = [];
+  if (k <= 0) return results;
+
+  for (const index of permutation(
+    sequenceSize(program.nodes, program),
+    random
+  )) {
+    const values = new Map();
+    const text = renderSequenceAt(program.nodes, index, program, values);
+    if (!isAllowed(program, values, where)) continue;
+
+    results.push(text);
+    if (results.length >= k) break;
+  }
+
+  return results;
+}
+
+/**
+ * Iterates the combinations at positions `start` (inclusive) to `end` (exclusive)
+ * of a template's output, without going through the combinations before them
+ *
+ * Positions are those of `at`. Slices that meet cover every combination
+ * exactly once, so they can be expanded separately, in parallel or on different
+ * machines, and joined in order to give the output of `parse`. Combinations that
+ * exclusions or `where` leave out are skipped, but still take up their position.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {number|bigint} [start=0] - Position of the first combination, counted from the end if negative
+ * @param {number|bigint} [end] - Position after the last combination, counted from the end if negative
+ * (default: the number of combinations)
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @param {Function} [options.where] - Keeps only combinations it accepts, like `parse`
+ * @returns {IterableIterator<string>} Iterable of the combinations, also async iterable, with the
+ * `start` and `end` positions it covers
+ * @throws {RangeError} If a position isn't an integer
+ * @example
+ * slice("{a|b}{1,3}", 2, 4) // "a3", "b1"
+ * slice("{1,1000000}", -2) // "999999", "1000000"
+ */
+function slice(
+  template,
+  start = 0,
+  end = undefined,
+  { where, ...options } = {}
+) {
+  const program = parseTemplate(template, options);
+
+  const total = sequenceSize(program.nodes, program);
+  const position = (n, name) => {
+    const index = toIndex(n);
+    if (index === null) {
+      throw new RangeError(`Slice ${name} must be an integer, got ${n}`);
+    }
+    const clamped = index < 0n ? index + total : index;
+    return clamped < 0n ? 0n : clamped > total ? total : clamped;
+  };
+  const from = position(start, "start");
+  const to = end === undefined ? total : position(end, "end");
+
+  return sliceOf(program, from, to, where);
+}
+
+/**
+ * Iterates one of `n` shards of a template's output, the `i`th of `n` slices
+ * of (nearly) equal size
+ *
+ * Shards are found without going through the combinations before them, so
+ * the `n` shards of a large template can be expanded on `n` cores or machines.
+ * Joined in order, they give the output of `parse`.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {number} i - Index of the shard, from 0 to `n - 1`
+ * @param {number} n - Number of shards
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @param {Function} [options.where] - Keeps only combinations it accepts, like `parse`
+ * @returns {IterableIterator<string>} Iterable of the combinations, also async iterable, with the
+ * `start` and `end` positions it covers
+ * @throws {RangeError} If `n` isn't a positive integer, or `i` isn't an integer from 0 to `n - 1`
+ * @example
+ * shard("{a|b}{1,3}", 0, 2) // "a1", "a2", "a3"
+ * shard("{a|b}{1,3}", 1, 2) // "b1", "b2", "b3"
+ */
+function shard(template, i, n, { where, ...options } = {}) {
+  const program = parseTemplate(template, options);
+
+  if (!Number.isInteger(n) || n < 1) {
+    throw new RangeError(`Shard count must be a positive integer, got ${n}`);
+  }
+  if (!Number.isInteger(i) || i < 0 || i >= n) {
+    throw new RangeError(
+      `Shard index must be an integer from 0 to ${n - 1}, got ${i}`
+    );
+  }
+
+  const total = sequenceSize(program.nodes, program);
+  const from = (total * BigInt(i)) / BigInt(n);
+  const to = (total * BigInt(i + 1)) / BigInt(n);
+  return sliceOf(program, from, to, where);
+}
+
+/**
+ * Builds the iterable returned by slice and shard
+ * @param {Object} program - The parsed template
+ * @param {bigint} start - Position of the first combination
+ * @param {bigint} end - Position after the last combination
+ * @param {Function} [where] - Predicate over the positional and named values
+ * @returns {IterableIterator<string>}
+ * @private
+ */
+function sliceOf(program, start, end, where) {
+  return {
+    start: toCount(start),
+    end: toCount(end),
+    [Symbol.iterator]: function* () {
+      let remaining = end - start;
+      if (remaining <= 0n) return;
+
+      const values = new Map();
+      for (const text of expandSequenceFrom(
+        program.nodes,
+        program,
+        values,
+        start
+      )) {
+        if (isAllowed(program, values, where)) yield text;
+        if (--remaining === 0n) return;
       }
+    },
+    [Symbol.asyncIterator]() {
+      return iterateAsync(this);
+    },
+  };
+}
+
+/**
+ * Checks a template for mistakes that the other functions silently work around
+ *
+ * Each diagnostic has a `code`, a `severity` ("error" or "warning"), a `message`,
+ * the `start` and `end` offsets of the problem, and its `line` and `column` (from 1).
+ * Errors are what the `strict` option throws a SpintaxSyntaxError for:
+ * - unclosed-pattern - A pattern start without an end, which is literal text
+ * - invalid-back-reference - A back reference to no earlier pattern, which is output verbatim
+ * - invalid-range - Bounds that don't make a range, like `{1,2,x}`, which is a choice
+ * - invalid-range-step - A range step that is zero or leads away from the end
+ * - unknown-filter - A back reference with an unknown filter, which is a choice
+ * - invalid-pick - A pick of more options than it has, like `{3* a|b}`, or with nested patterns,
+ *   like `{2* a|{b|c}}`, which is a choice
+ * - unknown-lexicon-entry - A lexicon reference to a name the `lexicon` option doesn't have,
+ *   which is a choice (only a warning without a `lexicon`, which a later call may pass)
+ *
+ * Warnings point out what is most likely a mistake:
+ * - unmatched-pattern-end - A pattern end without a start, which is literal text
+ * - empty-pattern - An empty pattern, which is literal text
+ * - literal-name - A pattern name that could be text, like `{sort=asc|sort=desc}`,
+ *   `{q=shoes|category=men}` or `x{a=b}y`, which is literal text
+ * - unreferenced-name - A pattern name nothing in the template refers to, which isn't output
+ * - invalid-exclusion - An exclusion condition for a pattern that doesn't exist, like
+ *   `Hurry!{color=red|blue}`, which is literal text followed by a pattern
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @returns {Array<Object>} The diagnostics, in template order, empty if there are none
+ * @example
+ * validate("{a|b} {$2}")
+ * // [{ code: "invalid-back-reference", severity: "error", start: 6, end: 10, line: 1, column: 7,
+ * //    message: 'Back reference "{$2}" doesn't refer to an earlier pattern, so it is literal text' }]
+ */
+function validate(template, options = {}) {
+  // Mistakes are reported, not thrown
+  const program = parseTemplate(
+    template,
+    { ...options, strict: false },
+    { diagnose: true }
+  );
+
+  return program.diagnostics;
+}
+
+/**
+ * Parses a template string into an abstract syntax tree
+ *
+ * Node types:
+ * - template - The root: `{ type, nodes, start, end }`
+ * - literal - Literal text, with escapes resolved: `{ type, value, start, end }`
+ * - choice - Choices between options, each a list of nodes: `{ type, options, weights?, start, end }`
+ * - lexicon - The values of a lexicon entry: `{ type, entry, start, end }`
+ * - exclusion - An exclusion, each condition with an `index` or `name` and a `value`: `{ type, conditions, start, end }`
+ * - pick - Picks of `k` distinct options: `{ type, k, ordered, joiner?, options, start, end }`
+ * - range - A numerical or character range: `{ type, from, to, step, pad?, start, end }`
+ * - reference - A back reference to the nth top-level pattern: `{ type, index, start, end }`
+ *
+ * `start` and `end` are offsets of the node in the template string.
+ * `weights` is only present if an option has a weight, unweighted options are undefined.
+ *
+ * @param {string} template - Template string with {...} patterns
+ * @param {SpintaxOptions} [options] - Options for pattern parsing
+ * @returns {Object} The template node
+ * @example
+ * parseToAst("Hi {a|b}")
+ * // {
+ * //   type: "template", start: 0, end: 8, nodes: [
+ * //     { type: "literal", value: "Hi ", start: 0, end: 3 },
+ * //     { type: "choice", start: 3, end: 8, options: [
+ * //       [{ type: "literal", value: "a", start: 4, end: 5 }],
+ * //       [{ type: "literal", value: "b", start: 6, end: 7 }],
+ * //     ] },
+ * //   ]
+ * // }
+ */
+function parseToAst(template, options = {}) {
+  const { nodes } = parseTemplate(template, options);
+
+  return { type: "template", nodes, start: 0, end: template.length };
+}
+
+/**
+ * Turns an abstract syntax tree back into a template string
+ *
+ * Literal text is escaped where needed, so `parse(stringify(ast))` produces
+ * the same combinations as the original template. Pass different options
+ * than the template was parsed with to rewrite it with other delimiters.
+ *
+ * @param {Object} ast - A template node, or any node inside it
+ * @param {SyntaxOptions} [options] - Options for pattern syntax
+ * @returns {string} The template string
+ * @example
+ * stringify(parseToAst("Hi {a|b}"), { patternStart: "<", patternEnd: ">" }) // "Hi <a|b>"
+ */
+function stringify(ast, options = {}) {
+  const syntax = withDefaults(options, SYNTAX_DEFAULTS);
+  // Outside of patterns only delimiters need escaping
+  const { patternStart, patternEnd, escapeCharacter } = syntax;
+  const tokens = escapableTokens({ patternStart, patternEnd, escapeCharacter });
+
+  return stringifyNode(ast, syntax, tokens);
+}
+
+/**
+ * Tracks how many patterns are open after a line of a template document
+ * @param {string} line - The line
+ * @param {number} depth - Number of patterns open before the line
+ * @param {Object} state - Document state (options)
+ * @returns {number} Number of patterns open after the line
+ * @private
+ */
+function patternDepth(line, depth, state) {
+  const { patternStart, patternEnd } = state;
+  let i = 0;
+
+  while (i < line.length) {
+    const escaped = escapeLength(line, i, state);
+
+    if (escaped) {
+      i += escaped;
+    } else if (line.startsWith(patternStart, i)) {
+      depth++;
+      i += patternStart.length;
+    } else if (line.startsWith(patternEnd, i) && depth > 0) {
+      depth--;
+      i += patternEnd.length;
+    } else {
+      i++;
+    }
+  }
+
+  return depth;
+}
+
+/**
+ * Reads the lines of a template document, collecting its definitions
+ * and reading its includes in place
+ * @param {string} source - The document
+ * @param {string} [path] - Path of the document, passed on to the include resolver
+ * @param {Object} state - Document state (options)
+ * @param {Map<string, string>} definitions - Definitions by name, added to
+ * @param {Array<string>} paths - Paths of the documents including this one, to detect cycles
+ * @returns {Array<string>} The template lines of the document
+ * @private
+ */
+function readDocument(source, path, state, definitions, paths) {
+  const lines = [];
+  let unit = null;
+  let depth = 0;
+
+  // An escaped marker at the start of a line is literal text
+  const unescape = (line) =>
+    line.replace(state.escapedMarker, (_, indent, marker) => indent + marker);
+
+  const finish = () => {
+    if (unit.name === undefined) lines.push(unit.text);
+    else definitions.set(unit.name, unit.text.trimEnd());
+    unit = null;
+  };
+
+  for (const line of source.split(/\r?\n/)) {
+    if (line.trimStart().startsWith(state.commentMarker)) continue;
+
+    if (unit) {
+      // A line break inside a pattern is left out, with the indentation around it
+      const next = unescape(line.trimStart());
+      unit.text = unit.text.trimEnd() + next;
+      depth = patternDepth(next, depth, state);
+      if (depth === 0) finish();
+      continue;
+    }
+
+    const definition = line.match(state.definition);
+    const include = !definition && line.match(state.includeLine);
+    if (include) {
+      const target = include[1] ?? include[2] ?? include[3];
+      lines.push(...includeDocument(target, path, state, definitions, paths));
+      continue;
     }
-    
-    // Build the result string
-    let result = stringParts[0];
-    for (let i = 0; i < resolvedValues.length; i++) {
-      result += resolvedValues[i] + stringParts[i + 1];
+
+    unit = definition
+      ? { name: definition[1], text: definition[2] }
+      : { text: unescape(line) };
+    depth = patternDepth(unit.text, 0, state);
+    if (depth === 0) finish();
+  }
+
+  // Patterns left open are literal text, like in any template
+  if (unit) finish();
+
+  // Blank lines around the text, like the ones after definitions, aren't part of it
+  while (lines.length > 0 && lines[0].trim() === "") lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].trim() === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Reads an included document through the include resolver
+ * @param {string} target - Path of the included document, as written
+ * @param {string} [from] - Path of the including document
+ * @param {Object} state - Document state (options)
+ * @param {Map<string, string>} definitions - Definitions by name, added to
+ * @param {Array<string>} paths - Paths of the documents including this one, to detect cycles
+ * @returns {Array<string>} The template lines of the included document
+ * @private
+ */
+function includeDocument(target, from, state, definitions, paths) {
+  if (!state.include) {
+    throw new Error(`Cannot include "${target}" without an include option`);
+  }
+
+  const included = state.include(target, from);
+  if (included === undefined || included === null) {
+    throw new Error(`Included document "${target}" not found`);
+  }
+  const { path = target, source } =
+    typeof included === "string" ? { source: included } : included;
+  if (paths.includes(path)) {
+    throw new Error(`Circular include: ${[...paths, path].join(" -> ")}`);
+  }
+
+  return readDocument(String(source), path, state, definitions, [
+    ...paths,
+    path,
+  ]);
+}
+
+/**
+ * Pastes definitions in place of the references to them
+ * @param {string} text - Template text with references
+ * @param {Map<string, string>} definitions - Definitions by name
+ * @param {Object} state - Document state (options)
+ * @param {Array<string>} names - Definitions being pasted already, to detect cycles
+ * @returns {string} The template text
+ * @private
+ */
+function pasteDefinitions(text, definitions, state, names = []) {
+  const marker = state.definitionMarker;
+  let result = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const escaped = escapeLength(text, i, state);
+    state.reference.lastIndex = i;
+    const reference = !escaped && state.reference.exec(text);
+
+    if (escaped) {
+      result += text.slice(i, i + escaped);
+      i += escaped;
+    } else if (reference) {
+      const [match, name] = reference;
+      if (!definitions.has(name)) {
+        throw new ReferenceError(`Unknown definition "${marker}${name}"`);
+      }
+      if (names.includes(name)) {
+        const cycle = [...names, name].map((n) => marker + n).join(" -> ");
+        throw new ReferenceError(`Circular definition: ${cycle}`);
+      }
+      result += pasteDefinitions(definitions.get(name), definitions, state, [
+        ...names,
+        name,
+      ]);
+      i += match.length;
+    } else {
+      result += text[i];
+      i++;
     }
-    
-    return result;
+  }
+
+  return result;
+}
+
+/**
+ * Turns a template document into a template string for `parse`, `count`, `choose`
+ * and the other functions
+ *
+ * Documents spread a template over several lines, with:
+ * - Comment lines, starting with `#`
+ * - Definitions, like `@color = {red|green|blue}`, pasted in wherever `{@color}` appears.
+ *   Definitions can refer to each other, and hold for the whole document
+ * - Includes, like `@include colors.spin`, which read another document in place
+ *   through the `include` option. Its definitions hold for the including document too
+ *
+ * Line breaks inside a pattern are left out along with the indentation around them,
+ * so long patterns can span lines. Other line breaks are kept, without the blank
+ * lines at the start and end of the document.
+ *
+ * @param {string} document - The template document
+ * @param {SyntaxOptions} [options] - Options for pattern syntax and includes. The name marker
+ * goes between the name of a definition and its template
+ * @param {string} options.definitionMarker - Marker for definitions, includes and references to definitions (default: '@')
+ * @param {string} options.commentMarker - Marker for comment lines (default: '#')
+ * @param {Function} [options.include] - Reads an included document, given its path as written and
+ * the path of the including document. Returns the document, or `{ path, source }` to give the path
+ * its own includes are relative to
+ * @param {string} [options.path] - Path of the document, passed on to `include`
+ * @returns {string} The template string
+ * @example
+ * const template = fromDocument(`
+ * # Shirts for the summer sale
+ * @color = {red|green|blue}
+ * @include sizes.spin
+ *
+ * A {@color} shirt in {@size}
+ * `, { include: (path) => readFileSync(path, "utf8") })
+ * parse(template) // "A red shirt in S", "A red shirt in M", ...
+ */
+function fromDocument(
+  document,
+  {
+    definitionMarker = "@",
+    commentMarker = "#",
+    include,
+    path,
+    ...options
+  } = {}
+) {
+  const syntax = withDefaults(options, SYNTAX_DEFAULTS);
+  const { patternStart, patternEnd, escapeCharacter, nameMarker } = syntax;
+  const marker = escapeRegExp(definitionMarker);
+  const state = {
+    patternStart,
+    patternEnd,
+    escapeCharacter,
+    escapable: escapableTokens(syntax),
+    definitionMarker,
+    commentMarker,
+    include,
+    definition: new RegExp(
+      `^\\s*${marker}(${NAME})\\s*${escapeRegExp(nameMarker)}\\s*([^]*)$`
+    ),
+    includeLine: new RegExp(
+      `^\\s*${marker}include\\s+(?:"([^"]*)"|'([^']*)'|(.*?))\\s*$`
+    ),
+    escapedMarker: escapeCharacter
+      ? new RegExp(
+          `^(\\s*)${escapeRegExp(escapeCharacter)}` +
+            `(${escapeRegExp(commentMarker)}|${marker})`
+        )
+      : /$^/,
+    reference: new RegExp(
+      `${escapeRegExp(patternStart)}${marker}(${NAME})${escapeRegExp(
+        patternEnd
+      )}`,
+      "y"
+    ),
   };
-};
 
-export { range, compile, parse, count, choose };
+  const definitions = new Map();
+  const paths = path === undefined ? [] : [path];
+  const lines = readDocument(document, path, state, definitions, paths);
+  return pasteDefinitions(lines.join("\n"), definitions, state);
+}
+
+export {
+  range,
+  combinations,
+  permutations,
+  ref,
+  compile,
+  parse,
+  count,
+  countUnique,
+  choose,
+  at,
+  indexOf,
+  sample,
+  slice,
+  shard,
+  validate,
+  SpintaxSyntaxError,
+  parseToAst,
+  stringify,
+  fromDocument,
+  chunks,
+  toReadableStream,
+};
 export default parse;
@@ -0,0 +1,170 @@
+/**
+ * Node.js adapters for spintax
+ *
+ * Kept apart from the main module, which runs in any JavaScript environment,
+ * because it depends on Node's built-in modules.
+ */
+
+import { readFileSync } from "node:fs";
+import os from "node:os";
+import { dirname, resolve } from "node:path";
+import { Readable } from "node:stream";
+import { Worker } from "node:worker_threads";
+
+import { chunks, slice } from "./index.mjs";
+
+/**
+ * Exposes the values of an iterable as a Node.js Readable stream
+ * Values are only generated as the stream is read, so a slow destination
+ * holds back generation (backpressure)
+ * @param {Iterable<any>|AsyncIterable<any>} iterable - The values, like the result of `parse`
+ * @param {Object} [options] - Options for chunking, see `chunks`
+ * @param {string} [options.separator] - Text after every value; the stream is a byte stream if given,
+ * and an object mode stream if not
+ * @param {number} [options.batchSize] - Number of values per chunk
+ * @returns {Readable} The stream of chunks
+ * @example
+ * toNodeReadable(parse("{a|b}{1,1000}"), { separator: "\n" }).pipe(fs.createWriteStream("out.txt"))
+ */
+function toNodeReadable(iterable, options = {}) {
+  return Readable.from(chunks(iterable, options), {
+    objectMode: options.separator === undefined,
+  });
+}
+
+/**
+ * Reads included template documents from files, for the `include` option of `fromDocument`
+ * Paths are relative to the including document, or to the working directory
+ * for a document without a path
+ * @param {string} path - Path of the included document, as written
+ * @param {string} [from] - Path of the including document
+ * @returns {{path: string, source: string}} The resolved path and the document
+ * @example
+ * fromDocument(readFileSync("shirts.spin", "utf8"), { include: includeFile, path: "shirts.spin" })
+ */
+function includeFile(path, from) {
+  const file =
+    from === undefined ? resolve(path) : resolve(dirname(from), path);
+  return { path: file, source: readFileSync(file, "utf8") };
+}
+
+/**
+ * Starts a worker thread that expands slices of a template
+ * @param {string} template - The template
+ * @param {Object} options - Options for pattern parsing, which must be cloneable
+ * @returns {{expand: Function, terminate: Function}} The worker, with `expand(start, end)`
+ * resolving to the combinations of a slice, in the order slices were asked for
+ * @private
+ */
+function startWorker(template, options) {
+  const worker = new Worker(new URL("./worker.mjs", import.meta.url), {
+    workerData: { template, options },
+  });
+  const pending = [];
+  let failure;
+  const fail = (error) => {
+    failure = error;
+    for (const { reject } of pending.splice(0)) reject(error);
+  };
+  worker.on("message", (values) => pending.shift().resolve(values));
+  worker.on("error", fail);
+  worker.on("exit", (code) => fail(new Error(`Worker stopped with ${code}`)));
+
+  return {
+    expand(start, end) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        pending.push({ resolve, reject });
+        worker.postMessage({ start, end });
+      });
+    },
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Expands a template across worker threads, to use every core on large templates
+ *
+ * The output is split into slices of `sliceSize` positions, handed out to the
+ * workers in turn. A few slices per worker are expanded ahead of the one being
+ * read, so memory use stays bounded however many combinations there are.
+ * Options are copied to the workers, so functions, like `where` or custom
+ * filters, can't be used.
+ * @param {string} template - Template string with {...} patterns
+ * @param {Object} [options] - Options for pattern parsing, like `parse`, and for the workers
+ * @param {number} [options.workers] - Number of worker threads (default: one per core)
+ * @param {boolean} [options.ordered=true] - Keep the order of `parse`, instead of yielding
+ * each slice as soon as it is expanded
+ * @param {number} [options.sliceSize=10000] - Number of positions in each slice
+ * @returns {AsyncGenerator<string>} The combinations
+ * @throws {RangeError} If the number of workers or the slice size isn't a positive integer
+ * @example
+ * for await (const text of expandParallel("{1,1000}-{1,1000}-{1,50}")) {
+ *   // ...
+ * }
+ * expandParallel(template, { ordered: false, workers: 4 }) // Faster, in no particular order
+ */
+async function* expandParallel(
+  template,
+  {
+    workers = os.availableParallelism?.() ?? os.cpus().length,
+    ordered = true,
+    sliceSize = 10000,
+    ...options
+  } = {}
+) {
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new RangeError(
+      `Worker count must be a positive integer, got ${workers}`
+    );
+  }
+  if (!Number.isInteger(sliceSize) || sliceSize < 1) {
+    throw new RangeError(
+      `Slice size must be a positive integer, got ${sliceSize}`
+    );
+  }
+
+  // Parsing here reports template errors before any worker starts
+  const total = BigInt(slice(template, 0, undefined, options).end);
+  const size = BigInt(sliceSize);
+  const slices = (total + size - 1n) / size;
+  const pool = Array.from(
+    { length: slices < BigInt(workers) ? Number(slices) : workers },
+    () => startWorker(template, options)
+  );
+
+  // Slices being expanded, by index, each resolving to its index and combinations
+  const expanding = new Map();
+  let next = 0n;
+  const expandAhead = () => {
+    while (next < slices && expanding.size < pool.length * 2) {
+      const index = next++;
+      const worker = pool[Number(index % BigInt(pool.length))];
+      const end = (index + 1n) * size;
+      expanding.set(
+        index,
+        worker
+          .expand(index * size, end < total ? end : total)
+          .then((values) => [index, values])
+      );
+    }
+  };
+
+  try {
+    for (let read = 0n; read < slices; read++) {
+      expandAhead();
+      const [index, values] = await (ordered
+        ? expanding.get(read)
+        : Promise.race(expanding.values()));
+      expanding.delete(index);
+      expandAhead();
+      yield* values;
+    }
+  } finally {
+    // Slices still being expanded are abandoned along with the workers
+    for (const promise of expanding.values()) promise.catch(() => {});
+    await Promise.all(pool.map((worker) => worker.terminate()));
+  }
+}
+
+export { toNodeReadable, includeFile, expandParallel };
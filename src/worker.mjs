@@ -0,0 +1,17 @@
+/**
+ * Worker thread for `expandParallel` in the Node.js module
+ *
+ * Expands the slices of a template that the main thread asks for,
+ * posting back the combinations of each slice in one message.
+ * @private
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+
+import { slice } from "./index.mjs";
+
+const { template, options } = workerData;
+
+parentPort.on("message", ({ start, end }) => {
+  parentPort.postMessage([...slice(template, start, end, options)]);
+});
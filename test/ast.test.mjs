@@ -0,0 +1,145 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, parseToAst, stringify } from "../src/index.mjs";
+
+describe("parseToAst()", () => {
+  it("should parse literals and choices with source offsets", () => {
+    assert.deepEqual(parseToAst("Hi {a|b}"), {
+      type: "template",
+      nodes: [
+        { type: "literal", value: "Hi ", start: 0, end: 3 },
+        {
+          type: "choice",
+          options: [
+            [{ type: "literal", value: "a", start: 4, end: 5 }],
+            [{ type: "literal", value: "b", start: 6, end: 7 }],
+          ],
+          start: 3,
+          end: 8,
+        },
+      ],
+      start: 0,
+      end: 8,
+    });
+  });
+
+  it("should parse ranges and back references", () => {
+    const { nodes } = parseToAst("{1,10,2} {$0}");
+
+    assert.deepEqual(nodes[0], {
+      type: "range",
+      from: 1,
+      to: 10,
+      step: 2,
+      start: 0,
+      end: 8,
+    });
+    assert.deepEqual(nodes[2], {
+      type: "reference",
+      index: 0,
+      start: 9,
+      end: 13,
+    });
+  });
+
+  it("should parse nested patterns and weights", () => {
+    const { nodes } = parseToAst("{a:3|{b|c} d}", {
+      weightMarker: ":",
+    });
+    const [choice] = nodes;
+
+    assert.equal(choice.type, "choice");
+    assert.deepEqual(choice.weights, [3, undefined]);
+    assert.equal(choice.options[1][0].type, "choice");
+    assert.equal(choice.options[1][0].start, 5);
+    assert.equal(choice.options[1][1].value, " d");
+  });
+
+  it("should resolve escapes in literal values", () => {
+    const { nodes } = parseToAst(String.raw`a\{b\}`);
+
+    assert.deepEqual(nodes, [
+      { type: "literal", value: "a{b}", start: 0, end: 6 },
+    ]);
+  });
+
+  it("should support custom delimiters", () => {
+    const { nodes } = parseToAst("<a|b>", {
+      patternStart: "<",
+      patternEnd: ">",
+    });
+
+    assert.equal(nodes[0].type, "choice");
+    assert.equal(nodes[0].options.length, 2);
+  });
+});
+
+describe("stringify()", () => {
+  const templates = [
+    "Hi {a|b}",
+    "{1,10,2} {0.5,1.5,0.5} {$0}",
+    "{a:3|{b|c} d:1.5}",
+    String.raw`\{"a": {1,3}, "b": "{x|y\|z}"\} C:\path {} {a, b}`,
+    String.raw`{1\,5} {\$0} {10\:30}`,
+  ];
+
+  it("should round-trip templates", () => {
+    for (const options of [{}, { weightMarker: ":" }]) {
+      for (const template of templates) {
+        const text = stringify(parseToAst(template, options), options);
+        assert.deepEqual(
+          [...parse(text, options)],
+          [...parse(template, options)],
+          template
+        );
+      }
+    }
+  });
+
+  it("should keep templates without escapes unchanged", () => {
+    assert.equal(
+      stringify(parseToAst("Hi {a|b} {1,5} {$0}")),
+      "Hi {a|b} {1,5} {$0}"
+    );
+    const weighted = { weightMarker: ":" };
+    assert.equal(
+      stringify(parseToAst("{a:3|{b|c} d}", weighted), weighted),
+      "{a:3|{b|c} d}"
+    );
+  });
+
+  it("should rewrite templates with different delimiters", () => {
+    const options = {
+      patternStart: "<<",
+      patternEnd: ">>",
+      escapeCharacter: "~",
+    };
+
+    assert.equal(
+      stringify(parseToAst("Hi {a|b} {1,5} {$0}"), options),
+      "Hi <<a|b>> <<1,5>> <<$0>>"
+    );
+    for (const template of templates) {
+      const text = stringify(parseToAst(template), options);
+      assert.deepEqual(
+        [...parse(text, options)],
+        [...parse(template)],
+        template
+      );
+    }
+  });
+
+  it("should stringify transformed trees", () => {
+    const ast = parseToAst("Color: {red|blue}");
+    ast.nodes[1].options.push([{ type: "literal", value: "green|teal" }]);
+
+    assert.equal(stringify(ast), String.raw`Color: {red|blue|green\|teal}`);
+  });
+
+  it("should stringify a single node", () => {
+    const { nodes } = parseToAst("Hi {a|{b|c}}");
+
+    assert.equal(stringify(nodes[1]), "{a|{b|c}}");
+  });
+});
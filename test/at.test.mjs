@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, count, choose, at, indexOf } from "../src/index.mjs";
+
+describe("at() and indexOf()", () => {
+  it("should return the same combinations as parse, in order", () => {
+    const template = "{A|B} - {1,3} {x|{y|z}}";
+    const values = [...parse(template)];
+
+    values.forEach((value, n) => assert.equal(at(template, n), value));
+  });
+
+  it("should support negative positions", () => {
+    const template = "{red|blue} {box|circle}";
+
+    assert.equal(at(template, -1), "blue circle");
+    assert.equal(at(template, -4), "red box");
+  });
+
+  it("should return undefined for positions out of range", () => {
+    const template = "{red|blue} {box|circle}";
+
+    assert.equal(at(template, 4), undefined);
+    assert.equal(at(template, -5), undefined);
+    assert.equal(at(template, 1.5), undefined);
+  });
+
+  it("should reach combinations deep in a large space", () => {
+    const template = "{1,100}-{1,100}-{1,100}";
+
+    assert.equal(count(template), 1000000);
+    assert.equal(at(template, 999999), "100-100-100");
+    assert.equal(at(template, 123456), "13-35-57");
+  });
+
+  it("should resolve back references", () => {
+    const template = "You {see|hear|feel} the {work|play}. Once you {$0}.";
+
+    assert.equal(at(template, 3), "You hear the play. Once you hear.");
+    assert.equal(indexOf(template, [1, 1]), 3);
+  });
+
+  it("should encode choice indices into a position", () => {
+    const template = "{A|B} - {1,3} {x|{y|z}}";
+
+    assert.equal(indexOf(template, [0, 0, 0]), 0);
+    assert.equal(indexOf(template, [0, 1, 2]), 5);
+    assert.equal(indexOf(template, [1, 2, 2]), 17);
+  });
+
+  it("should be the inverse of at", () => {
+    const template = "{A|B} - {1,3} {x|{y|z}}";
+    const picker = choose(template);
+
+    assert.equal(at(template, indexOf(template, [1, 0, 2])), picker(1, 0, 2));
+    for (let n = 0; n < count(template); n++) {
+      const choices = [Math.floor(n / 9), Math.floor(n / 3) % 3, n % 3];
+      assert.equal(indexOf(template, choices), n);
+    }
+  });
+
+  it("should return -1 for invalid choice indices", () => {
+    const template = "{red|blue} {box|circle}";
+
+    assert.equal(indexOf(template, [0]), -1);
+    assert.equal(indexOf(template, [0, 2]), -1);
+    assert.equal(indexOf(template, [-1, 0]), -1);
+  });
+});
@@ -18,4 +18,16 @@ describe("choose", () => {
     assert.equal(generator(1, 2), "Count: 2 C");
     assert.equal(generator(2, 1), "Count: 3 B");
   });
+
+  it("should throw a RangeError for indices that aren't integers in range", () => {
+    const generator = choose("{color=red|blue} {A|B|C}");
+    assert.equal(generator(1, 2), "blue C");
+    assert.equal(generator(1n, 0n), "blue A");
+    for (const indices of [[1.5], [0, 3], [-1], ["1"], [{ color: 1.5 }]]) {
+      assert.throws(() => generator(...indices), {
+        name: "RangeError",
+        message: /isn't an integer from 0 to/,
+      });
+    }
+  });
 });
@@ -0,0 +1,317 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { PassThrough, Readable } from "node:stream";
+
+import { main } from "../src/cli.mjs";
+
+/**
+ * Runs the CLI with the given arguments and stdin, collecting its output
+ */
+const run = async (args, input = "") => {
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  const output = { stdout: "", stderr: "" };
+  stdout.on("data", (data) => (output.stdout += data));
+  stderr.on("data", (data) => (output.stderr += data));
+
+  output.code = await main(args, {
+    stdin: Readable.from([input]),
+    stdout,
+    stderr,
+  });
+  return output;
+};
+
+describe("spintax expand", () => {
+  it("should print every combination on its own line", async () => {
+    const { stdout, code } = await run(["expand", "{a|b}{1,2}"]);
+
+    assert.equal(stdout, "a1\na2\nb1\nb2\n");
+    assert.equal(code, 0);
+  });
+
+  it("should write CSV with the choice indices as columns", async () => {
+    const { stdout } = await run([
+      "expand",
+      "--format",
+      "csv",
+      "{size=S|M}, {red|blue}",
+    ]);
+
+    assert.equal(
+      stdout,
+      [
+        "text,size,1",
+        '"S, red",0,0',
+        '"S, blue",0,1',
+        '"M, red",1,0',
+        '"M, blue",1,1',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should find the choice indices of combinations left after exclusions", async () => {
+    const { stdout } = await run(["expand", "-o", "csv", "{a|b}{1,3}!{0=a}"]);
+    assert.equal(stdout, "text,0,1\nb1,1,0\nb2,1,1\nb3,1,2\n");
+  });
+
+  it("should leave out duplicates with --unique", async () => {
+    const plain = await run(["expand", "-u", "{a|a|b}"]);
+    const csv = await run(["expand", "--unique", "-o", "csv", "{a|a|b}"]);
+
+    assert.equal(plain.stdout, "a\nb\n");
+    assert.equal(csv.stdout, "text,0\na,0\nb,2\n");
+  });
+
+  it("should write JSON and NDJSON", async () => {
+    const json = await run(["expand", "-o", "json", "{a|b}"]);
+    const ndjson = await run(["expand", "-o", "ndjson", "{a|b}"]);
+    const records = [
+      { text: "a", choices: [0] },
+      { text: "b", choices: [1] },
+    ];
+
+    assert.deepEqual(JSON.parse(json.stdout), records);
+    assert.deepEqual(
+      ndjson.stdout
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line)),
+      records
+    );
+  });
+
+  it("should write an empty JSON array for no combinations", async () => {
+    const { stdout } = await run(["expand", "-o", "json", "{a}!{0=a}"]);
+    assert.deepEqual(JSON.parse(stdout), []);
+  });
+
+  it("should accept delimiter and separator flags", async () => {
+    const { stdout } = await run([
+      "expand",
+      "--pattern-start",
+      "<",
+      "--pattern-end",
+      ">",
+      "--separator-choices",
+      "/",
+      "<a/b> {c}",
+    ]);
+    assert.equal(stdout, "a {c}\nb {c}\n");
+  });
+});
+
+describe("spintax count", () => {
+  it("should count each template", async () => {
+    const { stdout } = await run(["count", "{a|b}", "{1,10}{1,10}"]);
+    assert.equal(stdout, "2\n100\n");
+  });
+
+  it("should write huge counts in full", async () => {
+    const plain = await run(["count", "{1,1000000}{1,1000000}{1,1000000}"]);
+    const json = await run([
+      "count",
+      "-o",
+      "json",
+      "{1,1000000}{1,1000000}{1,1000000}",
+    ]);
+
+    assert.equal(plain.stdout, "1000000000000000000\n");
+    assert.equal(JSON.parse(json.stdout)[0].count, "1000000000000000000");
+  });
+
+  it("should label the input in CSV", async () => {
+    const { stdout } = await run(["count", "-o", "csv", "{a|b}"]);
+    assert.equal(stdout, "input,count\nargument 1,2\n");
+  });
+});
+
+describe("spintax pick", () => {
+  it("should pick n combinations with a seed", async () => {
+    const args = ["pick", "--seed", "42", "--n", "5", "{1,1000}"];
+    const { stdout } = await run(args);
+    const lines = stdout.trim().split("\n");
+
+    assert.equal(lines.length, 5);
+    assert.equal((await run(args)).stdout, stdout);
+  });
+
+  it("should pick like choose with a numeric seed", async () => {
+    const { choose } = await import("../src/index.mjs");
+    const picker = choose("{a|b|c}{1,9}", { seed: 7 });
+    const { stdout } = await run([
+      "pick",
+      "-s",
+      "7",
+      "-n",
+      "3",
+      "{a|b|c}{1,9}",
+    ]);
+
+    assert.equal(stdout, `${picker()}\n${picker()}\n${picker()}\n`);
+  });
+
+  it("should write the choices of each pick in CSV, JSON and NDJSON", async () => {
+    const { choose } = await import("../src/index.mjs");
+    const picker = choose("{a|b|c} {x=1|2}", { seed: 7, detailed: true });
+    const records = [picker(), picker()].map(({ text, choices }) => ({
+      text,
+      choices,
+    }));
+    const args = (format) => ["pick", "-s", "7", "-n", "2", "-o", format];
+    const csv = await run([...args("csv"), "{a|b|c} {x=1|2}"]);
+    const json = await run([...args("json"), "{a|b|c} {x=1|2}"]);
+    const ndjson = await run([...args("ndjson"), "{a|b|c} {x=1|2}"]);
+
+    assert.equal(
+      csv.stdout,
+      "text,0,x\n" +
+        records
+          .map(({ text, choices }) => [text, ...choices].join(",") + "\n")
+          .join("")
+    );
+    assert.deepEqual(JSON.parse(json.stdout), records);
+    assert.deepEqual(
+      ndjson.stdout
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line)),
+      records
+    );
+  });
+
+  it("should reject an invalid count", async () => {
+    const { stderr, code } = await run(["pick", "-n", "two", "{a|b}"]);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /--n must be a whole number/);
+  });
+});
+
+describe("spintax validate", () => {
+  it("should report each template and fail if any is invalid", async () => {
+    const { stdout, code } = await run(["validate", "{a|b}", "{1,10,0}"]);
+
+    assert.equal(
+      stdout,
+      "argument 1: ok\n" +
+        "argument 2:1:1: error invalid-range-step: Range step must be a non-zero number, got 0\n"
+    );
+    assert.equal(code, 1);
+  });
+
+  it("should write the results as JSON", async () => {
+    const { stdout, code } = await run(["validate", "-o", "json", "{a|b}"]);
+
+    assert.deepEqual(JSON.parse(stdout), [
+      { input: "argument 1", valid: true, diagnostics: [] },
+    ]);
+    assert.equal(code, 0);
+  });
+
+  it("should pass templates with only warnings", async () => {
+    const { stdout, code } = await run(["validate", "-o", "csv", "a}b"]);
+
+    assert.equal(
+      stdout,
+      "input,valid,diagnostics\n" +
+        'argument 1,true,"1:2: warning unmatched-pattern-end: Pattern end ""}"" has no pattern start, so it is literal text"\n'
+    );
+    assert.equal(code, 0);
+  });
+});
+
+describe("spintax input", () => {
+  it("should read a template from stdin", async () => {
+    const { stdout } = await run(["expand"], "{a|b}\n");
+    assert.equal(stdout, "a\nb\n");
+  });
+
+  it("should read templates from files", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "spintax-"));
+    const file = join(directory, "greeting.txt");
+    await writeFile(file, "{Hi|Hello} there\n");
+
+    const { stdout } = await run(["count", "-o", "ndjson", "--file", file]);
+    assert.deepEqual(JSON.parse(stdout), { input: file, count: 2 });
+  });
+
+  it("should read template documents with includes next to the file", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "spintax-"));
+    const file = join(directory, "shirt.spin");
+    await writeFile(join(directory, "colors.spin"), "@color = {red|blue}");
+    await writeFile(
+      file,
+      "# Shirts\n@include colors.spin\n\nA {@color} shirt\n"
+    );
+
+    const { stdout } = await run(["expand", "--document", "--file", file]);
+    assert.equal(stdout, "A red shirt\nA blue shirt\n");
+  });
+
+  it("should report invalid template documents", async () => {
+    const { stdout, code } = await run(["validate", "-d", "{@nope}"]);
+
+    assert.equal(stdout, 'argument 1: error: Unknown definition "@nope"\n');
+    assert.equal(code, 1);
+  });
+
+  it("should read a lexicon from a JSON file", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "spintax-"));
+    const file = join(directory, "lexicon.json");
+    await writeFile(file, JSON.stringify({ cities: ["Paris", "Oslo"] }));
+
+    const { stdout } = await run([
+      "count",
+      "--lexicon",
+      file,
+      "{#cities}{1,3}",
+    ]);
+    assert.equal(stdout, "6\n");
+  });
+
+  it("should report usage errors", async () => {
+    for (const args of [
+      [],
+      ["frobnicate"],
+      ["expand", "--nope"],
+      ["expand", "-o", "xml", "{a}"],
+    ]) {
+      const { stderr, code } = await run(args);
+
+      assert.equal(code, 2);
+      assert.match(stderr, /spintax --help/);
+    }
+  });
+
+  it("should print the help", async () => {
+    const { stdout, code } = await run(["--help"]);
+
+    assert.match(stdout, /^Usage: spintax <command>/);
+    assert.equal(code, 0);
+  });
+});
+
+describe("bin/spintax.mjs", () => {
+  it("should run as a command", async () => {
+    const script = new URL("../bin/spintax.mjs", import.meta.url);
+    const stdout = await new Promise((resolve, reject) => {
+      const child = execFile(
+        process.execPath,
+        [script.pathname, "expand", "-o", "ndjson"],
+        (error, output) => (error ? reject(error) : resolve(output))
+      );
+      child.stdin.end("{x|y}");
+    });
+
+    assert.equal(
+      stdout,
+      '{"text":"x","choices":[0]}\n{"text":"y","choices":[1]}\n'
+    );
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, compile, ref, range, combinations } from "../src/index.mjs";
+
+describe("compile() iterables", () => {
+  it("should expand Sets and other iterables", () => {
+    const values = [...compile`${new Set(["x", "y"])}${new Map([["k", 1]])}`];
+    assert.deepEqual(values, ["xk,1", "yk,1"]);
+  });
+
+  it("should expand nested compiled templates inline", () => {
+    const inner = compile`${["big", "small"]} ${["box", "bag"]}`;
+    const values = [...compile`A ${inner}!`];
+
+    assert.deepEqual(values, [
+      "A big box!",
+      "A big bag!",
+      "A small box!",
+      "A small bag!",
+    ]);
+  });
+
+  it("should expand the results of parse", () => {
+    const values = [...compile`${parse("{a|b}{1,2}")}-${range(1, 2)}`];
+    assert.equal(values.length, 8);
+    assert.equal(values[0], "a1-1");
+  });
+
+  it("should call generator functions for each iteration", () => {
+    let calls = 0;
+    function* letters() {
+      calls++;
+      yield "a";
+      yield "b";
+    }
+    const template = compile`${letters}`;
+
+    assert.deepEqual([...template], ["a", "b"]);
+    assert.deepEqual([...template], ["a", "b"]);
+    assert.equal(calls, 2);
+  });
+
+  it("should keep the values of iterators for later iterations", () => {
+    const iterator = ["x", "y"][Symbol.iterator]();
+    const template = compile`${iterator}${[1, 2]}`;
+
+    assert.deepEqual([...template], ["x1", "x2", "y1", "y2"]);
+    assert.deepEqual([...template], ["x1", "x2", "y1", "y2"]);
+    assert.deepEqual(
+      [...template.where(([letter]) => letter === "y")],
+      ["y1", "y2"]
+    );
+  });
+
+  it("should use strings and other values whole", () => {
+    assert.deepEqual([...compile`${"abc"}-${42}-${null}`], ["abc-42-null"]);
+  });
+});
+
+describe("ref()", () => {
+  it("should repeat the value of an earlier expression", () => {
+    const values = [...compile`${["red", "blue"]} paint, ${ref(0)} walls`];
+    assert.deepEqual(values, [
+      "red paint, red walls",
+      "blue paint, blue walls",
+    ]);
+  });
+
+  it("should not count references as expressions", () => {
+    const values = [...compile`${["a", "b"]}${ref(0)}${[1, 2]}${ref(1)}`];
+    assert.deepEqual(values, ["aa11", "aa22", "bb11", "bb22"]);
+  });
+
+  it("should refer to named expressions", () => {
+    const values = [
+      ...compile`${{ name: ["Ann", "Bo"] }} said hi. ${ref("name")} left.`,
+    ];
+    assert.deepEqual(values, [
+      "Ann said hi. Ann left.",
+      "Bo said hi. Bo left.",
+    ]);
+  });
+
+  it("should repeat values of nested templates and picks", () => {
+    const values = [
+      ...compile`${combinations(["x", "y", "z"], 2)} (${ref(0)})`,
+    ];
+    assert.deepEqual(values, ["x, y (x, y)", "x, z (x, z)", "y, z (y, z)"]);
+  });
+
+  it("should give named values to where", () => {
+    const values = [
+      ...compile`${{ size: ["S", "M"] }}/${range(1, 2)}`.where(
+        (_, { size }) => size === "M"
+      ),
+    ];
+    assert.deepEqual(values, ["M/1", "M/2"]);
+  });
+
+  it("should reject references to no earlier expression", () => {
+    assert.throws(() => compile`${ref(0)}${["a"]}`, {
+      name: "ReferenceError",
+      message: "ref(0) doesn't refer to an earlier expression",
+    });
+    assert.throws(() => compile`${["a"]}${ref("missing")}`, ReferenceError);
+    assert.throws(() => ref(-1), TypeError);
+  });
+});
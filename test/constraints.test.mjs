@@ -0,0 +1,190 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  compile,
+  count,
+  sample,
+  parseToAst,
+  stringify,
+} from "../src/index.mjs";
+
+const plans = "{plan=free|pro} plan with {basic|premium} support";
+
+describe("where", () => {
+  it("should filter combinations by positional values", () => {
+    const values = [
+      ...parse(plans, {
+        where: ([plan, support]) => !(plan === "free" && support === "premium"),
+      }),
+    ];
+
+    assert.deepEqual(values, [
+      "free plan with basic support",
+      "pro plan with basic support",
+      "pro plan with premium support",
+    ]);
+  });
+
+  it("should filter combinations by named values", () => {
+    const values = [
+      ...parse(plans, { where: (_, { plan }) => plan === "pro" }),
+    ];
+
+    assert.deepEqual(values, [
+      "pro plan with basic support",
+      "pro plan with premium support",
+    ]);
+  });
+
+  it("should give range values and empty values for patterns not chosen", () => {
+    const seen = [];
+    [
+      ...parse("{1,2}{x|{inner=a|b}}", {
+        where: (values, named) => seen.push([values, named]),
+      }),
+    ];
+
+    assert.deepEqual(seen[0], [[1, "x"], { inner: "" }]);
+    assert.deepEqual(seen[1], [[1, "a"], { inner: "a" }]);
+  });
+
+  it("should filter shuffled combinations", () => {
+    const where = ([plan]) => plan === "free";
+    const values = [...parse(plans, { where, shuffle: true, seed: 1 })];
+
+    assert.deepEqual(values.sort(), [
+      "free plan with basic support",
+      "free plan with premium support",
+    ]);
+  });
+
+  it("should filter samples", () => {
+    const values = sample("{1,100}", 10, {
+      seed: 1,
+      where: ([n]) => n % 2 === 0,
+    });
+
+    assert.equal(values.length, 10);
+    assert.ok(values.every((value) => Number(value) % 2 === 0));
+  });
+});
+
+describe("compile().where", () => {
+  it("should filter combinations of expression values", () => {
+    const values = [
+      ...compile`${["free", "pro"]}-${["basic", "premium"]}`.where(
+        ([plan, support]) => !(plan === "free" && support === "premium")
+      ),
+    ];
+
+    assert.deepEqual(values, ["free-basic", "pro-basic", "pro-premium"]);
+  });
+
+  it("should combine predicates", () => {
+    const values = [
+      ...compile`${[1, 2, 3]}${["a", "b"]}`
+        .where(([n]) => n > 1)
+        .where(([, letter]) => letter === "b"),
+    ];
+
+    assert.deepEqual(values, ["2b", "3b"]);
+  });
+});
+
+describe("Exclusions", () => {
+  it("should leave out combinations matching every condition", () => {
+    const values = [...parse(`${plans}!{0=free,1=premium}`)];
+
+    assert.deepEqual(values, [
+      "free plan with basic support",
+      "pro plan with basic support",
+      "pro plan with premium support",
+    ]);
+  });
+
+  it("should refer to named patterns and ignore whitespace", () => {
+    const values = [...parse(`${plans}!{ plan = pro , 1 = basic }`)];
+    assert.equal(values.length, 3);
+    assert.ok(!values.includes("pro plan with basic support"));
+  });
+
+  it("should apply several exclusions", () => {
+    const values = [...parse("{a|b}{1,3}!{0=a,1=1}!{1=3}")];
+    assert.deepEqual(values, ["a2", "b1", "b2"]);
+  });
+
+  it("should combine with where", () => {
+    const values = [
+      ...parse("{a|b}{1,3}!{0=a}", { where: ([, n]) => n !== 2 }),
+    ];
+    assert.deepEqual(values, ["b1", "b3"]);
+  });
+
+  it("should keep anything else as literal text", () => {
+    assert.deepEqual([...parse("Wow!{a|b}")], ["Wow!a", "Wow!b"]);
+    assert.deepEqual([...parse("Wow\\!{0=a}")], ["Wow!0=a"]);
+  });
+
+  it("should keep exclusions for patterns that don't exist as literal text", () => {
+    const template = "Hurry!{color=red|blue} car, the {$color} one";
+    assert.deepEqual(
+      [...parse(template)],
+      ["Hurry!red car, the red one", "Hurry!blue car, the blue one"]
+    );
+    assert.deepEqual([...parse("{a|b}!{1=a}")], ["a!1=a", "b!1=a"]);
+    assert.equal(stringify(parseToAst(template)), template.replace("!", "\\!"));
+  });
+
+  it("should use a custom exclusion marker", () => {
+    const values = [...parse("{a|b}~{0=a}", { exclusionMarker: "~" })];
+    assert.deepEqual(values, ["b"]);
+  });
+
+  it("should keep exclusions in the AST", () => {
+    const template = `${plans}!{plan=free,1=premium}`;
+    const ast = parseToAst(template);
+
+    assert.deepEqual(ast.nodes[ast.nodes.length - 1], {
+      type: "exclusion",
+      conditions: [
+        { name: "plan", value: "free" },
+        { index: 1, value: "premium" },
+      ],
+      start: 49,
+      end: 71,
+    });
+    assert.equal(stringify(ast), template);
+  });
+
+  it("should escape a literal marker before a pattern", () => {
+    for (const template of ["Wow\\!{0=a}", "{a|b}!{0=a\\,b}"]) {
+      const ast = parseToAst(template);
+      assert.equal(stringify(ast), template);
+    }
+  });
+});
+
+describe("count with constraints", () => {
+  it("should count the filtered total exactly", () => {
+    assert.equal(count(`${plans}!{0=free,1=premium}`), 3);
+    assert.equal(count(plans, { where: ([plan]) => plan === "pro" }), 2);
+    assert.equal(
+      count("{1,10}{1,10}", { where: ([a, b]) => a < b, bigint: true }),
+      45n
+    );
+  });
+
+  it("should estimate the filtered total from a sample", () => {
+    const template = "{1,100}{1,100}!{0=1}";
+    const estimate = count(template, { estimate: 2000, seed: 2 });
+
+    assert.equal(count(template), 9900);
+    assert.ok(Math.abs(estimate - 9900) < 300, `${estimate}`);
+  });
+
+  it("should be exact when the sample covers every combination", () => {
+    assert.equal(count(`${plans}!{0=free,1=premium}`, { estimate: true }), 3);
+  });
+});
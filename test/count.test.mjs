@@ -1,7 +1,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
 
-import { count } from "../src/index.mjs";
+import { count, range, at, indexOf } from "../src/index.mjs";
 
 describe("count", () => {
   it("should count the number or possible combinations", () => {
@@ -10,4 +10,62 @@ describe("count", () => {
     const pattern2 = "Count: {1,5} {A|B|C}";
     assert.equal(count(pattern2), 15);
   });
+
+  it("should count nested patterns and back references", () => {
+    assert.equal(count("{a|{b|c}} {$0}"), 3);
+  });
+
+  it("should count huge ranges without generating them", () => {
+    assert.equal(count("{1,1000000000}"), 1000000000);
+    assert.equal(count("{0,1000000000,3}"), 333333335);
+  });
+
+  it("should count the extra end value of stepped ranges", () => {
+    assert.equal(count("{0,10,3}"), 5);
+    assert.equal(count("{0,9,3}"), 4);
+    assert.equal(count("{0.5,1.5,0.5}"), 3);
+  });
+
+  it("should return a BigInt past Number.MAX_SAFE_INTEGER", () => {
+    const pattern = "{1,1000000}{1,1000000}{1,1000000}";
+    assert.equal(count(pattern), 1000000000000000000n);
+    assert.equal(count("{1,1000000}{1,1000000}"), 1000000000000);
+  });
+
+  it("should always return a BigInt in bigint mode", () => {
+    assert.equal(count("Count: {1,5} {A|B|C}", { bigint: true }), 15n);
+  });
+
+  it("should reach combinations past Number.MAX_SAFE_INTEGER", () => {
+    const pattern = "{1,1000000}-{1,1000000}-{1,1000000}";
+    const last = 1000000000000000000n - 1n;
+
+    assert.equal(at(pattern, last), "1000000-1000000-1000000");
+    assert.equal(at(pattern, -1n), "1000000-1000000-1000000");
+    assert.equal(indexOf(pattern, [999999, 999999, 999999]), last);
+  });
+});
+
+describe("range().size", () => {
+  it("should match the number of generated values", () => {
+    const ranges = [
+      range(1, 5),
+      range(0, 10, 2),
+      range(0, 10, 3),
+      range(0, 10, 3, false),
+      range(0, 1, 0.25),
+      range(5, 5),
+    ];
+    for (const generator of ranges) {
+      assert.equal(generator.size, [...generator.values()].length);
+    }
+  });
+
+  it("should access values by index", () => {
+    const generator = range(0, 10, 3);
+    assert.equal(generator.at(1), 3);
+    assert.equal(generator.at(4), 10);
+    assert.equal(generator.at(5), undefined);
+    assert.equal(range(1, 1000000000).at(499999999), 500000000);
+  });
 });
@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, choose, at, indexOf } from "../src/index.mjs";
+
+const templates = [
+  "{a|{b|c} {1,3}|d}-{2* x|y|z}",
+  "{n=p|q} {$n|upper} {?r}",
+  "{A,C}{q|{r|{s|t}}}",
+];
+
+describe("parse() with detailed", () => {
+  it("should describe each combination", () => {
+    assert.deepEqual(
+      [...parse("{red|blue} {$0|upper}", { detailed: true })],
+      [
+        { text: "red RED", index: 0, choices: [0], values: ["red", "RED"] },
+        { text: "blue BLUE", index: 1, choices: [1], values: ["blue", "BLUE"] },
+      ]
+    );
+  });
+
+  it("should give the same entries with entries()", () => {
+    const values = parse("{a|b}{1,2}");
+
+    assert.deepEqual(
+      [...values.entries()],
+      [...parse("{a|b}{1,2}", { detailed: true })]
+    );
+    assert.deepEqual(
+      [...values.entries()].map(({ text }) => text),
+      [...values]
+    );
+  });
+
+  it("should give the indices taken by at and indexOf", () => {
+    for (const template of templates) {
+      for (const entry of parse(template).entries()) {
+        assert.equal(at(template, entry.index), entry.text);
+        assert.equal(indexOf(template, entry.choices), entry.index);
+      }
+    }
+  });
+
+  it("should keep the positions of combinations left out by constraints", () => {
+    const entries = [...parse("{a|b}{1,3}!{0=a,1=2}").entries()];
+
+    assert.deepEqual(
+      entries.map(({ index }) => index),
+      [0, 2, 3, 4, 5]
+    );
+    assert.deepEqual(entries[1].choices, [0, 2]);
+  });
+
+  it("should give the positions of shuffled combinations", () => {
+    const entries = [
+      ...parse("{a|b|c}{1,5}", { shuffle: true, seed: 1, detailed: true }),
+    ];
+
+    assert.deepEqual(
+      entries.map(({ index }) => index).sort((a, b) => a - b),
+      [...Array(15).keys()]
+    );
+    for (const { text, index } of entries) {
+      assert.equal(at("{a|b|c}{1,5}", index), text);
+    }
+  });
+
+  it("should remove duplicates by text", () => {
+    const values = parse("{a|a|b}", { unique: true });
+
+    assert.deepEqual(
+      [...values.entries()].map(({ text, index }) => [text, index]),
+      [
+        ["a", 0],
+        ["b", 2],
+      ]
+    );
+    assert.equal(values.duplicates, 1);
+  });
+
+  it("should give huge positions as BigInts", () => {
+    const [entry] = parse("{1,1000000}{1,1000000}{1,1000000}", {
+      shuffle: true,
+      seed: 1,
+      detailed: true,
+    });
+
+    assert.equal(typeof entry.index, "bigint");
+    assert.equal(typeof entry.choices[0], "number");
+  });
+});
+
+describe("choose() with detailed", () => {
+  it("should describe combinations picked by index", () => {
+    const pick = choose("The {red|blue|green} {box|circle}", {
+      detailed: true,
+    });
+
+    assert.deepEqual(pick(2, 0), {
+      text: "The green box",
+      index: 4,
+      choices: [2, 0],
+      values: ["green", "box"],
+    });
+    assert.deepEqual(pick({ 1: 0 }).values.length, 2);
+  });
+
+  it("should give the indices of random picks", () => {
+    for (const template of templates) {
+      for (let seed = 0; seed < 50; seed++) {
+        const entry = choose(template, { seed, detailed: true })();
+
+        assert.equal(entry.text, choose(template, { seed })());
+        assert.equal(at(template, entry.index), entry.text);
+        assert.equal(indexOf(template, entry.choices), entry.index);
+      }
+    }
+  });
+
+  it("should give the indices of named picks", () => {
+    const entry = choose("{x|y}{n=1,3}", { seed: 1, detailed: true })({ n: 2 });
+
+    assert.deepEqual(entry.choices[1], 2);
+    assert.deepEqual(entry.values[1], 3);
+  });
+});
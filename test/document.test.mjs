@@ -0,0 +1,161 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, writeFile, readFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { fromDocument, parse, count, choose } from "../src/index.mjs";
+import { includeFile } from "../src/node.mjs";
+
+describe("fromDocument", () => {
+  it("should leave out comment lines", () => {
+    const template = fromDocument("# A greeting\n{Hi|Hello}\n  # indented too");
+    assert.equal(template, "{Hi|Hello}");
+  });
+
+  it("should paste definitions in place of references", () => {
+    const template = fromDocument(
+      "@color = {red|green|blue}\n\nA {@color} shirt, a {@color} hat"
+    );
+
+    assert.equal(template, "A {red|green|blue} shirt, a {red|green|blue} hat");
+    assert.equal(count(template), 9);
+  });
+
+  it("should let definitions refer to each other in any order", () => {
+    const template = fromDocument(
+      "@shirt = {@color} shirt\n@color = {red|blue}\nA {@shirt}"
+    );
+    assert.deepEqual([...parse(template)], ["A red shirt", "A blue shirt"]);
+  });
+
+  it("should let a later definition replace an earlier one", () => {
+    assert.equal(fromDocument("@a = {x|y}\n@a = {z}\n{@a}"), "{z}");
+  });
+
+  it("should keep line breaks between lines of text", () => {
+    const template = fromDocument("Dear {Ann|Bob},\n\nThanks!\n");
+    assert.equal(choose(template)(1), "Dear Bob,\n\nThanks!");
+  });
+
+  it("should leave out line breaks and indentation inside patterns", () => {
+    const template = fromDocument(`
+@greeting = {
+  Hello|
+  # Too informal: Yo|
+  Hi {
+    there|
+    friend
+  }
+}
+
+{@greeting}!
+`);
+
+    assert.equal(template, "{Hello|Hi {there|friend}}!");
+  });
+
+  it("should keep escaped markers at the start of a line", () => {
+    const template = fromDocument("\\# {1,3}\n\\@home {a|b}");
+    assert.equal(template, "# {1,3}\n@home {a|b}");
+  });
+
+  it("should not paste escaped references", () => {
+    assert.equal(fromDocument("@a = {x}\n\\{@a}"), "\\{@a}");
+  });
+
+  it("should use custom markers and delimiters", () => {
+    const template = fromDocument("// sizes\n$size : <S|M>\nSize <$size>", {
+      patternStart: "<",
+      patternEnd: ">",
+      nameMarker: ":",
+      definitionMarker: "$",
+      commentMarker: "//",
+    });
+    assert.equal(template, "Size <S|M>");
+  });
+
+  it("should reject unknown and circular definitions", () => {
+    assert.throws(() => fromDocument("{@nope}"), {
+      name: "ReferenceError",
+      message: 'Unknown definition "@nope"',
+    });
+    assert.throws(() => fromDocument("@a = {@b}\n@b = {@a}\n{@a}"), {
+      name: "ReferenceError",
+      message: "Circular definition: @a -> @b -> @a",
+    });
+  });
+});
+
+describe("@include", () => {
+  const documents = {
+    "colors.spin": "# Brand colors\n@color = {red|blue}\n",
+    "footer.spin": "-- {The Team|Support}",
+    "a.spin": "@include b.spin",
+    "b.spin": '@include "a.spin"',
+  };
+  const include = (path) => documents[path];
+
+  it("should read definitions and text from included documents", () => {
+    const template = fromDocument(
+      "@include colors.spin\nA {@color} shirt\n@include footer.spin",
+      { include }
+    );
+    assert.equal(template, "A {red|blue} shirt\n-- {The Team|Support}");
+  });
+
+  it("should pass the path of the including document to the resolver", () => {
+    const calls = [];
+    const resolver = (path, from) => {
+      calls.push([path, from]);
+      return path === "inner.spin"
+        ? "{x|y}"
+        : { path: `dir/${path}`, source: "@include inner.spin" };
+    };
+    const template = fromDocument("@include outer.spin", {
+      include: resolver,
+      path: "main.spin",
+    });
+
+    assert.equal(template, "{x|y}");
+    assert.deepEqual(calls, [
+      ["outer.spin", "main.spin"],
+      ["inner.spin", "dir/outer.spin"],
+    ]);
+  });
+
+  it("should reject circular includes", () => {
+    assert.throws(() => fromDocument("@include a.spin", { include }), {
+      message: "Circular include: a.spin -> b.spin -> a.spin",
+    });
+  });
+
+  it("should reject includes that can't be read", () => {
+    assert.throws(() => fromDocument("@include nope.spin", { include }), {
+      message: 'Included document "nope.spin" not found',
+    });
+    assert.throws(() => fromDocument("@include colors.spin"), {
+      message: 'Cannot include "colors.spin" without an include option',
+    });
+  });
+});
+
+describe("includeFile", () => {
+  it("should read includes relative to the including file", async () => {
+    const directory = await mkdtemp(join(tmpdir(), "spintax-"));
+    await mkdir(join(directory, "parts"));
+    await writeFile(
+      join(directory, "parts", "sizes.spin"),
+      "@include colors.spin\n@size = {S|M}"
+    );
+    await writeFile(join(directory, "parts", "colors.spin"), "@color = {red}");
+    const path = join(directory, "shirts.spin");
+    await writeFile(path, "@include parts/sizes.spin\n{@color} {@size}\n");
+
+    const template = fromDocument(await readFile(path, "utf8"), {
+      include: includeFile,
+      path,
+    });
+    assert.equal(template, "{red} {S|M}");
+  });
+});
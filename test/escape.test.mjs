@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, count, choose } from "../src/index.mjs";
+
+describe("Escape Sequences", () => {
+  it("should output escaped delimiters in literal text", () => {
+    const template = parse(String.raw`\{"mode": "{strict|lenient}"\}`);
+    const values = [...template];
+
+    assert.deepEqual(values, ['{"mode": "strict"}', '{"mode": "lenient"}']);
+  });
+
+  it("should output escaped separators inside choice options", () => {
+    const template = parse(String.raw`{a\|b|c\,d}`);
+    const values = [...template];
+
+    assert.deepEqual(values, ["a|b", "c,d"]);
+  });
+
+  it("should output escaped delimiters inside choice options", () => {
+    const template = parse(String.raw`{\{x\}|y}`);
+    const values = [...template];
+
+    assert.deepEqual(values, ["{x}", "y"]);
+  });
+
+  it("should not split ranges on escaped separators", () => {
+    assert.deepEqual([...parse(String.raw`{1\,5}`)], ["1,5"]);
+    assert.deepEqual([...parse(String.raw`{1,3\,}`)], ["1,3,"]);
+    assert.equal(count(String.raw`{1\,5}`), 1);
+  });
+
+  it("should not treat an escaped marker as a back reference", () => {
+    const template = parse(String.raw`{a|b} {\$0} {$0}`);
+    const values = [...template];
+
+    assert.deepEqual(values, ["a $0 a", "b $0 b"]);
+  });
+
+  it("should output an escaped escape character", () => {
+    const template = parse(String.raw`\\{a|b}`);
+    const values = [...template];
+
+    assert.deepEqual(values, [String.raw`\a`, String.raw`\b`]);
+  });
+
+  it("should keep escape characters that don't escape anything", () => {
+    const template = parse(String.raw`C:\path\{a|b}`);
+    const values = [...template];
+
+    assert.deepEqual(values, [String.raw`C:\path{a|b}`]);
+  });
+
+  it("should support a custom escape character", () => {
+    const template = parse("~{{a~|b|c}~}", { escapeCharacter: "~" });
+    const values = [...template];
+
+    assert.deepEqual(values, ["{a|b}", "{c}"]);
+  });
+
+  it("should count and choose with escapes the same way as parse", () => {
+    const template = String.raw`\{{a|b\|c}\} {$0}`;
+
+    assert.equal(count(template), 2);
+    assert.equal(choose(template)(1), "{b|c} b|c");
+    assert.deepEqual([...parse(template)], ["{a} a", "{b|c} b|c"]);
+  });
+});
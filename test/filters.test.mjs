@@ -0,0 +1,109 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, count, choose, parseToAst, stringify } from "../src/index.mjs";
+
+describe("Back Reference Filters", () => {
+  it("should apply built-in filters", () => {
+    const template = parse("{red car|blue bike}: {$0|upper}, {$0|title}");
+    const values = [...template];
+
+    assert.deepEqual(values, [
+      "red car: RED CAR, Red Car",
+      "blue bike: BLUE BIKE, Blue Bike",
+    ]);
+  });
+
+  it("should support every built-in filter", () => {
+    const [value] = parse(
+      "{  Crème Brûlée!  |x}|{$0|lower}|{$0|slug}|{$0|trim}|"
+    );
+
+    assert.equal(
+      value,
+      "  Crème Brûlée!  |  crème brûlée!  |creme-brulee|Crème Brûlée!|"
+    );
+  });
+
+  it("should capitalize only the first character", () => {
+    const [value] = parse("{hello world|x} {$0|capitalize}");
+    assert.equal(value, "hello world Hello world");
+  });
+
+  it("should chain filters left to right", () => {
+    const [value] = parse("{  Hello World  |x} {$0|trim|slug|upper}");
+    assert.equal(value, "  Hello World   HELLO-WORLD");
+  });
+
+  it("should filter named back references", () => {
+    const values = [...parse("{city=new york|paris} ({$city|title})")];
+    assert.deepEqual(values, ["new york (New York)", "paris (Paris)"]);
+  });
+
+  it("should filter range values", () => {
+    const values = [...parse("{1,2} {$0|upper}")];
+    assert.deepEqual(values, ["1 1", "2 2"]);
+  });
+
+  it("should accept custom filters", () => {
+    const filters = { reverse: (value) => [...value].reverse().join("") };
+    const values = [...parse("{abc|xyz} {$0|reverse|upper}", { filters })];
+
+    assert.deepEqual(values, ["abc CBA", "xyz ZYX"]);
+  });
+
+  it("should let custom filters override built-ins", () => {
+    const filters = { upper: (value) => `<${value}>` };
+    const [value] = parse("{a|b} {$0|upper}", { filters });
+
+    assert.equal(value, "a <a>");
+  });
+
+  it("should treat unknown filters as choices", () => {
+    const values = [...parse("{a|b} {$0|nope}")];
+    assert.deepEqual(values, ["a $0", "a nope", "b $0", "b nope"]);
+    assert.equal(count("{a|b} {$0|nope}"), 4);
+  });
+
+  it("should keep invalid filtered back references verbatim", () => {
+    const values = [...parse("{$1|upper} {a|b}")];
+    assert.deepEqual(values, ["{$1|upper} a", "{$1|upper} b"]);
+  });
+
+  it("should filter with choose and count", () => {
+    const picker = choose("{yes|no}! {$0|upper}!");
+
+    assert.equal(picker(1), "no! NO!");
+    assert.equal(count("{yes|no}! {$0|upper}!"), 2);
+  });
+
+  it("should filter nested patterns that weren't chosen to empty strings", () => {
+    const values = [...parse("{x|{inner=a|b}} [{$inner|upper}]")];
+    assert.deepEqual(values, ["x []", "a [A]", "b [B]"]);
+  });
+
+  it("should keep filters in the AST", () => {
+    const template = "{a|b} {$0|trim|upper}";
+    const ast = parseToAst(template);
+
+    assert.deepEqual(ast.nodes[2], {
+      type: "reference",
+      index: 0,
+      filters: ["trim", "upper"],
+      start: 6,
+      end: 21,
+    });
+    assert.equal(stringify(ast), template);
+  });
+
+  it("should use the custom choice separator between filters", () => {
+    const options = { separatorChoices: "/" };
+    const values = [...parse("{a/b} {$0/upper}", options)];
+
+    assert.deepEqual(values, ["a A", "b B"]);
+    assert.equal(
+      stringify(parseToAst("{a/b} {$0/upper}", options), options),
+      "{a/b} {$0/upper}"
+    );
+  });
+});
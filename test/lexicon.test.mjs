@@ -0,0 +1,159 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  count,
+  choose,
+  at,
+  indexOf,
+  sample,
+  range,
+  combinations,
+  parseToAst,
+  stringify,
+} from "../src/index.mjs";
+
+const lexicon = {
+  cities: ["Paris", "Oslo", "Rome"],
+  years: range(2020, 2022),
+};
+
+describe("Lexicon References", () => {
+  it("should expand the values of a lexicon entry", () => {
+    const values = [...parse("Visit {#cities}!", { lexicon })];
+    assert.deepEqual(values, ["Visit Paris!", "Visit Oslo!", "Visit Rome!"]);
+  });
+
+  it("should combine with other patterns", () => {
+    const values = [...parse("{#cities} {#years}", { lexicon })];
+
+    assert.equal(values.length, 9);
+    assert.equal(values[1], "Paris 2021");
+  });
+
+  it("should count lexicon entries", () => {
+    assert.equal(count("{#cities}-{#years}-{a|b}", { lexicon }), 18);
+    assert.equal(count("{#cities}", { lexicon, probabilityOf: "Oslo" }), 1 / 3);
+  });
+
+  it("should count generators without expanding them", () => {
+    const big = { ids: range(1, 1e15), pairs: combinations(["a", "b"], 2) };
+
+    assert.equal(count("{#ids}{#pairs}", { lexicon: big }), 1e15);
+    assert.equal(at("{#ids}", 1e15 - 1, { lexicon: big }), "1000000000000000");
+  });
+
+  it("should be back referenced like a choice", () => {
+    const values = [
+      ...parse("{city=#cities}: {$city|upper}, {$0|lower}", { lexicon }),
+    ];
+    assert.equal(values[0], "Paris: PARIS, paris");
+  });
+
+  it("should take an index in choose, at and indexOf", () => {
+    const template = "{#cities} in {#years}";
+    const values = [...parse(template, { lexicon })];
+
+    assert.equal(choose(template, { lexicon })(1, 2), "Oslo in 2022");
+    values.forEach((value, n) =>
+      assert.equal(at(template, n, { lexicon }), value)
+    );
+    assert.equal(indexOf(template, [1, 2], { lexicon }), 5);
+  });
+
+  it("should pick values at random", () => {
+    const picker = choose("{#cities}", { lexicon, seed: 1 });
+    const picks = new Set(Array.from({ length: 50 }, () => picker()));
+
+    assert.deepEqual([...picks].sort(), ["Oslo", "Paris", "Rome"]);
+    assert.equal(sample("{#cities}", 5, { lexicon, seed: 1 }).length, 3);
+  });
+
+  it("should be constrained like a choice", () => {
+    const values = [
+      ...parse("{#cities}!{0=Oslo}", {
+        lexicon,
+        where: ([city]) => city !== "Rome",
+      }),
+    ];
+    assert.deepEqual(values, ["Paris"]);
+  });
+
+  it("should accept iterables and functions", () => {
+    const entries = {
+      set: new Set(["a", "b"]),
+      generator: function* () {
+        yield "x";
+        yield "y";
+      },
+    };
+
+    assert.deepEqual(
+      [...parse("{#set}{#generator}", { lexicon: entries })],
+      ["ax", "ay", "bx", "by"]
+    );
+  });
+
+  it("should read each entry once per template", () => {
+    let calls = 0;
+    const entries = {
+      letters: () => {
+        calls++;
+        return ["a", "b"];
+      },
+    };
+
+    assert.equal(count("{#letters}{#letters}", { lexicon: entries }), 4);
+    assert.equal(calls, 1);
+  });
+
+  it("should reuse generator objects across calls", () => {
+    function* names() {
+      yield "Ann";
+      yield "Bo";
+    }
+    const entries = { names: names() };
+
+    assert.equal(count("{#names}", { lexicon: entries }), 2);
+    assert.deepEqual(
+      [...parse("Hi {#names}", { lexicon: entries })],
+      ["Hi Ann", "Hi Bo"]
+    );
+    assert.equal(choose("{#names}", { lexicon: entries })(1), "Bo");
+  });
+
+  it("should work inside nested patterns", () => {
+    const values = [...parse("{somewhere|{#cities}}", { lexicon })];
+    assert.deepEqual(values, ["somewhere", "Paris", "Oslo", "Rome"]);
+  });
+
+  it("should keep unknown names and escaped markers as choices", () => {
+    assert.deepEqual([...parse("{#cities}")], ["#cities"]);
+    assert.deepEqual([...parse("{#nope}", { lexicon })], ["#nope"]);
+    assert.deepEqual([...parse("{\\#cities}", { lexicon })], ["#cities"]);
+  });
+
+  it("should use a custom lexicon marker", () => {
+    const values = [...parse("{~cities}", { lexicon, lexiconMarker: "~" })];
+    assert.equal(values.length, 3);
+  });
+
+  it("should keep lexicon references in the AST", () => {
+    const ast = parseToAst("{city=#cities}", { lexicon });
+
+    assert.deepEqual(ast.nodes[0], {
+      type: "lexicon",
+      name: "city",
+      entry: "cities",
+      start: 0,
+      end: 14,
+    });
+    assert.equal(stringify(ast), "{city=#cities}");
+  });
+
+  it("should escape choices that look like lexicon references", () => {
+    const ast = parseToAst("{\\#cities}", { lexicon });
+    assert.equal(stringify(ast), "{\\#cities}");
+  });
+});
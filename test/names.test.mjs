@@ -0,0 +1,165 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  count,
+  choose,
+  parseToAst,
+  stringify,
+  validate,
+} from "../src/index.mjs";
+
+describe("Named Back References", () => {
+  it("should reference named patterns by name", () => {
+    const template = parse("The {color=red|blue} car. The {$color} one.");
+    const values = [...template];
+
+    assert.deepEqual(values, [
+      "The red car. The red one.",
+      "The blue car. The blue one.",
+    ]);
+  });
+
+  it("should keep positional back references working", () => {
+    const template = parse("{color=red|blue} {size=big|small} {$1} {$color}");
+    const values = [...template];
+
+    assert.deepEqual(values, [
+      "red big big red",
+      "red small small red",
+      "blue big big blue",
+      "blue small small blue",
+    ]);
+  });
+
+  it("should not shift when patterns are inserted before them", () => {
+    const before = [...parse("{color=red|blue} {$color}")];
+    const after = [...parse("{A|An} {color=red|blue} {$color}")];
+
+    assert.deepEqual(
+      after.filter((value) => value.startsWith("A ")),
+      before.map((value) => `A ${value}`)
+    );
+  });
+
+  it("should name ranges", () => {
+    const template = parse("Item {n=1,3}: #{$n}");
+    const values = [...template];
+
+    assert.deepEqual(values, ["Item 1: #1", "Item 2: #2", "Item 3: #3"]);
+  });
+
+  it("should reference nested named patterns", () => {
+    const template = parse("{a cat|a {size=big|small} dog}. {$size}!");
+    const values = [...template];
+
+    assert.deepEqual(values, [
+      "a cat. !",
+      "a big dog. big!",
+      "a small dog. small!",
+    ]);
+  });
+
+  it("should leave unknown and forward references verbatim", () => {
+    assert.deepEqual([...parse("{$color} {color=red}")], ["{$color} red"]);
+    assert.deepEqual([...parse("{a|b} {$size}")], ["a {$size}", "b {$size}"]);
+  });
+
+  it("should support a custom name marker and escaped markers", () => {
+    assert.deepEqual(
+      [...parse("{c:=x|y} {$c}", { nameMarker: ":=" })],
+      ["x x", "y y"]
+    );
+    assert.deepEqual([...parse(String.raw`{a\=b|c}`)], ["a=b", "c"]);
+  });
+
+  it("should keep names other options start with as literal text", () => {
+    const template = "/list?{sort=asc|sort=desc}";
+
+    assert.deepEqual(
+      [...parse(template)],
+      ["/list?sort=asc", "/list?sort=desc"]
+    );
+    assert.deepEqual(
+      validate(template).map(({ code, severity }) => [code, severity]),
+      [["literal-name", "warning"]]
+    );
+    assert.deepEqual(validate("{sort=asc|desc} {$sort}"), []);
+    assert.equal(stringify(parseToAst(template)), template);
+  });
+
+  it("should keep names that could be text as literal text unless referred to", () => {
+    const codes = (template) =>
+      validate(template).map(({ code, severity }) => [code, severity]);
+
+    assert.deepEqual([...parse("x{a=b}y")], ["xa=by"]);
+    assert.deepEqual(
+      [...parse("?{q=shoes|category=men}")],
+      ["?q=shoes", "?category=men"]
+    );
+    assert.deepEqual(codes("x{a=b}y"), [["literal-name", "warning"]]);
+    assert.deepEqual(codes("?{q=shoes|category=men}"), [
+      ["literal-name", "warning"],
+    ]);
+    assert.deepEqual([...parse("{a=b} {$a}")], ["b b"]);
+    assert.deepEqual(codes("{a=b} {$a}"), []);
+  });
+
+  it("should warn about names nothing refers to", () => {
+    assert.deepEqual(
+      [...parse("The {color=red|blue} car")],
+      ["The red car", "The blue car"]
+    );
+    assert.deepEqual(
+      validate("The {color=red|blue} car").map(({ code }) => code),
+      ["unreferenced-name"]
+    );
+    assert.deepEqual(validate("{plan=free|pro}!{plan=free}"), []);
+  });
+
+  it("should not change the number of combinations", () => {
+    assert.equal(count("The {color=red|blue} car. The {$color} one."), 2);
+    assert.equal(count("{a cat|a {size=big|small} dog}. {$size}!"), 3);
+  });
+
+  it("should work with choose", () => {
+    const picker = choose(
+      "The {color=red|blue} {size=big|small} car. {$color}"
+    );
+
+    assert.equal(picker(1, 0), "The blue big car. blue");
+    assert.equal(picker({ color: 1, size: 0 }), "The blue big car. blue");
+    assert.match(picker({ color: 1 }), /^The blue (big|small) car\. blue$/);
+  });
+
+  it("should choose the option holding a named pattern", () => {
+    const picker = choose("{a cat|a {size=big|small} dog}. {$size}!");
+
+    for (let i = 0; i < 10; i++) {
+      assert.equal(picker({ size: 1 }), "a small dog. small!");
+    }
+  });
+
+  it("should name nodes in the syntax tree", () => {
+    const { nodes } = parseToAst("{color=red|blue} {$color}");
+
+    assert.equal(nodes[0].name, "color");
+    assert.deepEqual(nodes[2], {
+      type: "reference",
+      name: "color",
+      start: 17,
+      end: 25,
+    });
+  });
+
+  it("should round-trip names through stringify", () => {
+    for (const template of [
+      "{color=red|blue} {n=1,3} {$color}",
+      String.raw`{a\=b|c}`,
+    ]) {
+      const text = stringify(parseToAst(template));
+      assert.deepEqual([...parse(text)], [...parse(template)]);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, count, choose } from "../src/index.mjs";
+
+describe("Nested Patterns", () => {
+  it("should expand patterns nested inside options", () => {
+    const template = parse("A {cat|{big|small} dog}.");
+    const values = [...template];
+
+    assert.deepEqual(values, ["A cat.", "A big dog.", "A small dog."]);
+  });
+
+  it("should expand arbitrarily deep nesting", () => {
+    const template = parse("{a|{b|{c|d}e}f}");
+    const values = [...template];
+
+    assert.deepEqual(values, ["a", "bf", "cef", "def"]);
+  });
+
+  it("should expand several patterns inside one option", () => {
+    const template = parse("{none|{1,2}{x|y}}");
+    const values = [...template];
+
+    assert.deepEqual(values, ["none", "1x", "1y", "2x", "2y"]);
+  });
+
+  it("should combine nested patterns with top-level patterns", () => {
+    const template = parse("{a|{b|c}}-{1,2}");
+    const values = [...template];
+
+    assert.deepEqual(values, ["a-1", "a-2", "b-1", "b-2", "c-1", "c-2"]);
+  });
+
+  it("should count nested patterns as a sum over options", () => {
+    assert.equal(count("A {cat|{big|small} dog}."), 3);
+    assert.equal(count("{a|{b|c}{1,3}}"), 7);
+    assert.equal(count("{a|{b|c}}-{1,2}"), 6);
+    assert.equal(count("{a|{b|{c|d}e}f}"), 4);
+  });
+
+  it("should back reference the full value of a nested pattern", () => {
+    const template = parse("The {red|{light|dark} blue} car. A {$0} one.");
+    const values = [...template];
+
+    assert.deepEqual(values, [
+      "The red car. A red one.",
+      "The light blue car. A light blue one.",
+      "The dark blue car. A dark blue one.",
+    ]);
+  });
+
+  it("should resolve back references inside nested options", () => {
+    const template = parse("{a|b} {x|{$0}{$0}}");
+    const values = [...template];
+
+    assert.deepEqual(values, ["a x", "a aa", "b x", "b bb"]);
+  });
+
+  it("should leave unmatched delimiters as literal text", () => {
+    assert.deepEqual([...parse("{a {b|c}")], ["{a b", "{a c"]);
+    assert.deepEqual([...parse("a} {b|c}")], ["a} b", "a} c"]);
+  });
+
+  it("should choose by index over every combination of a nested pattern", () => {
+    const picker = choose("A {cat|{big|small} dog} {1,2}");
+
+    assert.equal(picker(0, 0), "A cat 1");
+    assert.equal(picker(1, 1), "A big dog 2");
+    assert.equal(picker(2, 0), "A small dog 1");
+  });
+
+  it("should choose a random nested combination", () => {
+    const template = "{a|{b|{c|d}e}f} {$0}";
+    const strings = [...parse(template)];
+    const picker = choose(template);
+
+    for (let i = 0; i < 20; i++) {
+      assert.ok(strings.includes(picker()));
+    }
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  count,
+  choose,
+  at,
+  indexOf,
+  parseToAst,
+  stringify,
+} from "../src/index.mjs";
+
+describe("Optional Segments", () => {
+  it("should generate present and absent variants", () => {
+    const values = [...parse("A {?very }good day")];
+    assert.deepEqual(values, ["A very good day", "A good day"]);
+  });
+
+  it("should count the absent variant", () => {
+    assert.equal(count("A {?very }good day"), 2);
+    assert.equal(count("{?{a|b} }c"), 3);
+  });
+
+  it("should leave the segment out for the last index in choose", () => {
+    const picker = choose("A {?very }good day");
+
+    assert.equal(picker(0), "A very good day");
+    assert.equal(picker(1), "A good day");
+  });
+
+  it("should agree with at and indexOf", () => {
+    const template = "{?big }{cat|dog}";
+
+    assert.deepEqual(
+      [...parse(template)],
+      [0, 1, 2, 3].map((n) => at(template, n))
+    );
+    assert.equal(indexOf(template, [1, 0]), 2);
+  });
+
+  it("should keep the marker of a pattern with several options as text", () => {
+    assert.deepEqual([...parse("{?a|b}")], ["?a", "b"]);
+    assert.deepEqual([...parse("{?big|small} dog")], ["?big dog", "small dog"]);
+    assert.equal(count("{?very |really }good"), 2);
+    assert.equal(stringify(parseToAst("{?a|b}")), "{?a|b}");
+  });
+
+  it("should resolve back references to an omitted segment to an empty string", () => {
+    const values = [...parse("{?very }good, {$0}nice")];
+    assert.deepEqual(values, ["very good, very nice", "good, nice"]);
+  });
+
+  it("should name optional segments", () => {
+    const values = [...parse("{adj=?big }dog [{$adj|trim}]")];
+    assert.deepEqual(values, ["big dog [big]", "dog []"]);
+  });
+
+  it("should weigh the absent variant like an unweighted option", () => {
+    const picker = choose("{?yes:3}", { seed: 1, weightMarker: ":" });
+    const picks = Array.from({ length: 2000 }, () => picker());
+    const present = picks.filter((value) => value === "yes").length;
+
+    assert.ok(present > 1350 && present < 1650, `${present} of 2000`);
+  });
+
+  it("should keep empty alternatives", () => {
+    assert.deepEqual([...parse("{very |}good")], ["very good", "good"]);
+    assert.deepEqual([...parse("x{a||b}y")], ["xay", "xy", "xby"]);
+    assert.equal(count("{|}"), 2);
+  });
+
+  it("should not treat a lone marker as optional", () => {
+    assert.deepEqual([...parse("{?}")], ["?"]);
+  });
+
+  it("should keep a marker followed by a separator as a choice", () => {
+    const template = "Really{?|!}";
+
+    assert.deepEqual([...parse(template)], ["Really?", "Really!"]);
+    assert.equal(count(template), 2);
+    assert.equal(stringify(parseToAst(template)), template);
+  });
+
+  it("should escape the optional marker", () => {
+    assert.deepEqual([...parse("{\\?maybe|no}")], ["?maybe", "no"]);
+  });
+
+  it("should use a custom optional marker", () => {
+    const values = [...parse("{~very }good", { optionalMarker: "~" })];
+    assert.deepEqual(values, ["very good", "good"]);
+  });
+
+  it("should mark optional segments in the AST", () => {
+    const ast = parseToAst("{?a}");
+
+    assert.deepEqual(ast.nodes[0], {
+      type: "choice",
+      optional: true,
+      options: [[{ type: "literal", value: "a", start: 2, end: 3 }], []],
+      start: 0,
+      end: 4,
+    });
+  });
+
+  it("should stringify optional segments", () => {
+    for (const template of [
+      "A {?very }good day",
+      "{adj=?big } dog",
+      "{?very :3}good",
+      "{\\?a}",
+      "{?a|b}",
+    ]) {
+      assert.equal(stringify(parseToAst(template)), template);
+    }
+  });
+});
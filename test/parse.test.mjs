@@ -104,4 +104,9 @@ describe("parse()", () => {
     assert.match(firstResult, /"count": 1/);
     assert.match(firstResult, /"options": \["A", "X"\]/);
   });
+
+  it("should use the default for options given as undefined", () => {
+    const options = { patternStart: undefined, separatorChoices: undefined };
+    assert.deepEqual([...parse("{a|b}", options)], ["a", "b"]);
+  });
 });
@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  compile,
+  count,
+  choose,
+  at,
+  indexOf,
+  combinations,
+  permutations,
+  parseToAst,
+  stringify,
+  validate,
+} from "../src/index.mjs";
+
+describe("Combinations", () => {
+  it("should pick k distinct options, ignoring their order", () => {
+    const values = [...parse("Features: {2* A|B|C}")];
+
+    assert.deepEqual(values, [
+      "Features: A, B",
+      "Features: A, C",
+      "Features: B, C",
+    ]);
+  });
+
+  it("should count nCk", () => {
+    assert.equal(count("{2* A|B|C|D}"), 6);
+    assert.equal(count("{3* a|b|c|d|e}"), 10);
+    assert.equal(count("{0* a|b}"), 1);
+  });
+
+  it("should count huge picks exactly", () => {
+    const items = Array.from({ length: 100 }, (_, i) => i).join("|");
+    assert.equal(count(`{50* ${items}}`), 100891344545564193334812497256n);
+  });
+
+  it("should use a joiner from the pattern", () => {
+    const values = [...parse("{2* and *A|B|C}")];
+    assert.deepEqual(values, ["A and B", "A and C", "B and C"]);
+  });
+
+  it("should use the joiner option", () => {
+    const values = [...parse("{2* A|B|C}", { joiner: " + " })];
+    assert.deepEqual(values, ["A + B", "A + C", "B + C"]);
+  });
+});
+
+describe("Permutations", () => {
+  it("should pick k distinct options in order", () => {
+    const values = [...parse("{2! A|B|C}")];
+    assert.deepEqual(values, ["A, B", "A, C", "B, A", "B, C", "C, A", "C, B"]);
+  });
+
+  it("should count nPk", () => {
+    assert.equal(count("{2! A|B|C|D}"), 12);
+    assert.equal(count("{3! a|b|c|d|e}"), 60);
+  });
+
+  it("should use a joiner from the pattern", () => {
+    const values = [...parse("{2! then !A|B}")];
+    assert.deepEqual(values, ["A then B", "B then A"]);
+  });
+});
+
+describe("Picks", () => {
+  it("should index into picks with choose, at and indexOf", () => {
+    const template = "{2* A|B|C|D} / {2! x|y|z}";
+    const values = [...parse(template)];
+
+    assert.equal(choose(template)(5, 0), "C, D / x, y");
+    values.forEach((value, n) => assert.equal(at(template, n), value));
+    assert.equal(indexOf(template, [5, 0]), 30);
+  });
+
+  it("should pick at random", () => {
+    const picker = choose("{2* A|B|C}", { seed: 1 });
+    const picks = new Set(Array.from({ length: 50 }, () => picker()));
+
+    assert.deepEqual([...picks].sort(), ["A, B", "A, C", "B, C"]);
+    assert.equal(count("{2* A|B|C}", { probabilityOf: "A, C" }), 1 / 3);
+  });
+
+  it("should back reference the joined pick", () => {
+    const values = [...parse("{f=2* x|y|z}: {$f|upper}")];
+    assert.deepEqual(values, ["x, y: X, Y", "x, z: X, Z", "y, z: Y, Z"]);
+  });
+
+  it("should keep patterns with nested patterns as choices", () => {
+    assert.deepEqual([...parse("{2* a|{b|c}}")], ["2* a", "b", "c"]);
+    assert.deepEqual(
+      validate("{2* a|{b|c}}").map(({ code, severity }) => [code, severity]),
+      [["invalid-pick", "error"]]
+    );
+  });
+
+  it("should escape pick markers", () => {
+    assert.deepEqual([...parse("{2\\* a|b}")], ["2* a", "b"]);
+    assert.deepEqual([...parse("{2* a\\*b|c}")], ["a*b, c"]);
+  });
+
+  it("should use custom pick markers", () => {
+    const options = { combinationMarker: "C", permutationMarker: "P" };
+
+    assert.equal(count("{2C a|b|c}", options), 3);
+    assert.equal(count("{2P a|b|c}", options), 6);
+  });
+
+  it("should keep counts and markers without whitespace as choices", () => {
+    assert.deepEqual([...parse("{2*3|4*5}")], ["2*3", "4*5"]);
+    assert.deepEqual([...parse("{3!|4!} ways")], ["3! ways", "4! ways"]);
+    assert.deepEqual([...parse("{2*x*y|z}")], ["2*x*y", "z"]);
+  });
+
+  it("should keep picks of more options than there are as choices", () => {
+    assert.equal(count("x{3* a|b}"), 2);
+    assert.deepEqual([...parse("x{3* a|b}")], ["x3* a", "xb"]);
+    assert.match(choose("x{3* a|b}")(), /^x(3\* a|b)$/);
+    assert.deepEqual(
+      validate("x{3* a|b}").map(({ code, severity }) => [code, severity]),
+      [["invalid-pick", "error"]]
+    );
+  });
+
+  it("should keep picks in the AST", () => {
+    const ast = parseToAst("{2* & *a|b}");
+
+    assert.deepEqual(ast.nodes[0], {
+      type: "pick",
+      k: 2,
+      ordered: false,
+      joiner: " & ",
+      options: [
+        [{ type: "literal", value: "a", start: 7, end: 8 }],
+        [{ type: "literal", value: "b", start: 9, end: 10 }],
+      ],
+      start: 0,
+      end: 11,
+    });
+  });
+
+  it("should stringify picks", () => {
+    for (const template of [
+      "{2* A|B|C}",
+      "{x=2! then !A|B}",
+      "{2* a\\*b|c}",
+      "{2\\* a|b}",
+      "{2\\! a|b}",
+      "{2*3|4*5}",
+    ]) {
+      assert.equal(stringify(parseToAst(template)), template);
+    }
+  });
+});
+
+describe("combinations() and permutations()", () => {
+  it("should pick items in compile", () => {
+    const values = [
+      ...compile`${combinations(["fast", "cheap", "good"], 2, {
+        joiner: " and ",
+      })}`,
+    ];
+
+    assert.deepEqual(values, [
+      "fast and cheap",
+      "fast and good",
+      "cheap and good",
+    ]);
+  });
+
+  it("should give the size and access picks by index", () => {
+    const generator = permutations([1, 2, 3], 2);
+
+    assert.equal(generator.size, 6);
+    assert.equal(generator.at(3), "2, 3");
+    assert.equal(generator.at(6), undefined);
+    assert.equal(combinations(["a", "b", "c", "d"], 2).at(5n), "c, d");
+  });
+
+  it("should match the values they generate", () => {
+    for (const generator of [
+      combinations(["a", "b", "c", "d", "e"], 3),
+      permutations(["a", "b", "c", "d"], 3),
+    ]) {
+      const values = [...generator];
+
+      assert.equal(values.length, generator.size);
+      assert.equal(new Set(values).size, values.length);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { compile, range } from "../src/index.mjs";
+
+function* ids() {
+  for (let id = 0; ; id++) yield id;
+}
+
+const take = (iterable, n) => {
+  const values = [];
+  for (const value of iterable) {
+    values.push(value);
+    if (values.length === n) break;
+  }
+  return values;
+};
+
+describe("compile() lazy product", () => {
+  it("should read an endless first expression as needed", () => {
+    assert.deepEqual(take(compile`${ids}-${["a", "b"]}`, 5), [
+      "0-a",
+      "0-b",
+      "1-a",
+      "1-b",
+      "2-a",
+    ]);
+  });
+
+  it("should read generators implementing values()", () => {
+    let read = 0;
+    const counter = {
+      *values() {
+        for (let id = 1; ; id++) {
+          read++;
+          yield `#${id}`;
+        }
+      },
+    };
+
+    assert.deepEqual(take(compile`${counter} ${["x", "y"]}`, 3), [
+      "#1 x",
+      "#1 y",
+      "#2 x",
+    ]);
+    assert.equal(read, 2);
+  });
+
+  it("should read every value once", () => {
+    let calls = 0;
+    function* letters() {
+      calls++;
+      yield* ["a", "b", "c"];
+    }
+
+    assert.equal([...compile`${[1, 2, 3]}${letters}${[1, 2]}`].length, 18);
+    assert.equal(calls, 1);
+  });
+});
+
+describe("compile().strategy", () => {
+  it("should combine endless expressions along diagonals", () => {
+    assert.deepEqual(take(compile`${ids}-${ids}`.strategy("diagonal"), 6), [
+      "0-0",
+      "0-1",
+      "1-0",
+      "0-2",
+      "1-1",
+      "2-0",
+    ]);
+  });
+
+  it("should reach combinations past finite expressions", () => {
+    assert.deepEqual(
+      take(compile`${["a", "b"]}${ids}`.strategy("diagonal"), 6),
+      ["a0", "a1", "b0", "a2", "b1", "a3"]
+    );
+
+    const values = take(compile`${ids}.${ids}.${ids}`.strategy("diagonal"), 20);
+    assert.equal(values[19], "3.0.0");
+    assert.ok(values.includes("1.1.1"));
+  });
+
+  it("should give every combination of finite expressions once", () => {
+    const template = compile`${range(1, 4)}${["a", "b"]}${["x", "y", "z"]}`;
+    const values = [...template.strategy("diagonal")];
+
+    assert.equal(values.length, 24);
+    assert.deepEqual([...values].sort(), [...template].sort());
+    assert.deepEqual([...compile`${[]}${ids}`.strategy("diagonal")], []);
+  });
+
+  it("should combine with where and unique", () => {
+    const values = compile`${ids}${ids}`
+      .strategy("diagonal")
+      .where(([a, b]) => a > 0 && b > 0)
+      .unique();
+
+    assert.deepEqual(take(values, 4), ["11", "12", "21", "13"]);
+  });
+
+  it("should reject unknown strategies", () => {
+    assert.throws(() => compile`${["a"]}`.strategy("random"), {
+      name: "RangeError",
+      message:
+        'Unknown strategy "random", expected "lexicographic" or "diagonal"',
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, choose } from "../src/index.mjs";
+
+describe("Random Source", () => {
+  it("should produce the same picks for the same seed", () => {
+    const template = "{a|b|c|d} {1,100} {x|{y|z}}";
+    const first = choose(template, { seed: 42 });
+    const second = choose(template, { seed: 42 });
+
+    for (let i = 0; i < 20; i++) {
+      assert.equal(first(), second());
+    }
+  });
+
+  it("should produce a fixed sequence for a seed", () => {
+    const picker = choose("{a|b|c|d} {1,100}", { seed: 42 });
+
+    // Pinned so the sequence stays stable across versions and engines
+    assert.deepEqual([picker(), picker(), picker()], ["b 37", "a 2", "a 21"]);
+  });
+
+  it("should accept string seeds", () => {
+    const template = "{a|b|c|d|e|f|g|h}";
+    const picks = (seed) => {
+      const picker = choose(template, { seed });
+      return Array.from({ length: 10 }, () => picker());
+    };
+
+    assert.deepEqual(picks("hello"), picks("hello"));
+    assert.notDeepEqual(picks("hello"), picks("world"));
+  });
+
+  it("should only produce outputs of the template", () => {
+    const template = "{a|b} {1,5} {$0}";
+    const strings = [...parse(template)];
+    const picker = choose(template, { seed: 7 });
+
+    for (let i = 0; i < 20; i++) {
+      assert.ok(strings.includes(picker()));
+    }
+  });
+
+  it("should use a custom random source", () => {
+    assert.equal(choose("{a|b|c} {1,5}", { random: () => 0 })(), "a 1");
+    assert.equal(choose("{a|b|c} {1,5}", { random: () => 0.99 })(), "c 5");
+  });
+
+  it("should follow weights with a custom random source", () => {
+    const picker = choose("{a:1|b:3}", {
+      random: () => 0.3,
+      weightMarker: ":",
+    });
+
+    assert.equal(picker(), "b");
+  });
+
+  it("should prefer a custom random source over a seed", () => {
+    const picker = choose("{a|b|c}", { seed: 42, random: () => 0.5 });
+
+    assert.equal(picker(), "b");
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  compile,
+  count,
+  choose,
+  range,
+  parseToAst,
+  stringify,
+} from "../src/index.mjs";
+
+describe("Character Ranges", () => {
+  it("should generate letter ranges", () => {
+    assert.deepEqual(
+      [...parse("row-{A,D}")],
+      ["row-A", "row-B", "row-C", "row-D"]
+    );
+  });
+
+  it("should step through characters", () => {
+    assert.deepEqual([...parse("{a,z,5}")], ["a", "f", "k", "p", "u", "z"]);
+  });
+
+  it("should range over any code points", () => {
+    assert.deepEqual([...parse("{α,γ}")], ["α", "β", "γ"]);
+  });
+
+  it("should ignore whitespace around the bounds", () => {
+    assert.deepEqual([...parse("{x, z}")], ["x", "y", "z"]);
+  });
+
+  it("should combine with other patterns", () => {
+    const values = [...parse("{A,B}{1,2}")];
+
+    assert.deepEqual(values, ["A1", "A2", "B1", "B2"]);
+    assert.equal(count("{A,Z}{0,9}"), 260);
+  });
+
+  it("should keep words and mixed bounds as choices", () => {
+    assert.deepEqual([...parse("{ab,cd}")], ["ab,cd"]);
+    assert.deepEqual([...parse("{a,9}")], ["a,9"]);
+    assert.deepEqual([...parse("{a,z,0.5}")], ["a,z,0.5"]);
+  });
+
+  it("should pick characters with choose", () => {
+    assert.equal(choose("{a,z}")(25), "z");
+  });
+
+  it("should create character ranges programmatically", () => {
+    const values = [...compile`${range("A", "C")}${range(1, 2)}`];
+    assert.deepEqual(values, ["A1", "A2", "B1", "B2", "C1", "C2"]);
+    assert.equal(range("a", "z").size, 26);
+    assert.equal(range("a", "z").at(2), "c");
+  });
+});
+
+describe("Zero-padded Ranges", () => {
+  it("should keep the width of padded bounds", () => {
+    const values = [...parse("img_{001,100}.png")];
+
+    assert.equal(values.length, 100);
+    assert.equal(values[0], "img_001.png");
+    assert.equal(values[6], "img_007.png");
+    assert.equal(values[99], "img_100.png");
+  });
+
+  it("should pad to the widest bound", () => {
+    const values = [...parse("{01,100}")];
+
+    assert.equal(values[0], "001");
+    assert.equal(values[99], "100");
+  });
+
+  it("should not pad bounds without leading zeros", () => {
+    assert.deepEqual([...parse("{8,10}")], ["8", "9", "10"]);
+    assert.deepEqual([...parse("{0,2}")], ["0", "1", "2"]);
+  });
+
+  it("should keep the sign in front of the padding", () => {
+    assert.deepEqual([...parse("{-05,5,5}")], ["-05", "00", "05"]);
+    assert.deepEqual([...parse("{-02,02}")], ["-02", "-01", "00", "01", "02"]);
+  });
+
+  it("should count and match padded values", () => {
+    assert.equal(count("{001,100}"), 100);
+    assert.equal(count("{001,100}", { probabilityOf: "042" }), 0.01);
+    assert.equal(count("{001,100}", { probabilityOf: "42" }), 0);
+  });
+
+  it("should pad values picked with choose", () => {
+    assert.equal(choose("row-B{01,12}")(2), "row-B03");
+  });
+
+  it("should keep the padding in the AST", () => {
+    const ast = parseToAst("{01,10}");
+
+    assert.deepEqual(ast.nodes[0], {
+      type: "range",
+      from: 1,
+      to: 10,
+      step: 1,
+      pad: 2,
+      start: 0,
+      end: 7,
+    });
+    assert.equal(stringify(ast), "{01,10}");
+  });
+});
+
+describe("range() formatting", () => {
+  it("should zero pad numbers", () => {
+    const values = [...range(8, 11, 1, true, { pad: 2 })];
+    assert.deepEqual(values, ["08", "09", "10", "11"]);
+  });
+
+  it("should format values with a function", () => {
+    const generator = range(1, 3, 1, true, { format: (n) => `img_${n}.png` });
+
+    assert.deepEqual([...generator], ["img_1.png", "img_2.png", "img_3.png"]);
+    assert.equal(generator.at(1), "img_2.png");
+  });
+
+  it("should format padded values", () => {
+    const generator = range(1, 2, 1, true, {
+      pad: 3,
+      format: (n) => `#${n}`,
+    });
+    assert.deepEqual([...generator], ["#001", "#002"]);
+  });
+
+  it("should format values in compile", () => {
+    const values = [...compile`sku-${range(9, 10, 1, true, { pad: 3 })}`];
+    assert.deepEqual(values, ["sku-009", "sku-010"]);
+  });
+});
+
+describe("Descending Ranges", () => {
+  it("should count down when the end is before the start", () => {
+    assert.deepEqual([...parse("{5,1}")], ["5", "4", "3", "2", "1"]);
+    assert.deepEqual([...range(5, 1)], [5, 4, 3, 2, 1]);
+  });
+
+  it("should step down with a negative step", () => {
+    assert.deepEqual([...range(10, 1, -1)], [10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    assert.deepEqual([...parse("{10,1,-3}")], ["10", "7", "4", "1"]);
+  });
+
+  it("should include the end value of stepped descending ranges", () => {
+    assert.deepEqual([...range(10, 0, -4)], [10, 6, 2, 0]);
+    assert.deepEqual([...range(10, 0, -4, false)], [10, 6, 2]);
+  });
+
+  it("should count and index descending ranges", () => {
+    assert.equal(count("{100,1}"), 100);
+    assert.equal(range(10, 0, -4).size, 4);
+    assert.equal(range(10, 1).at(2), 8);
+    assert.equal(choose("{10,1}")(9), "1");
+  });
+
+  it("should count down through characters and padded numbers", () => {
+    assert.deepEqual([...parse("{e,a,-2}")], ["e", "c", "a"]);
+    assert.deepEqual([...parse("{10,08}")], ["10", "09", "08"]);
+  });
+
+  it("should stringify descending ranges", () => {
+    for (const template of ["{10,1}", "{10,1,-3}", "{1,10,3}"]) {
+      assert.equal(stringify(parseToAst(template)), template);
+    }
+  });
+});
+
+describe("Decimal Steps", () => {
+  it("should not accumulate floating-point error", () => {
+    const values = [...parse("{0,1,0.1}")];
+
+    assert.deepEqual(values, [
+      "0",
+      "0.1",
+      "0.2",
+      "0.3",
+      "0.4",
+      "0.5",
+      "0.6",
+      "0.7",
+      "0.8",
+      "0.9",
+      "1",
+    ]);
+  });
+
+  it("should count decimal steps exactly", () => {
+    assert.equal(range(0, 0.3, 0.1).size, 4);
+    assert.equal(count("{0.1,0.3,0.1}"), 3);
+    assert.equal(range(0, 1, 0.1).at(3), 0.3);
+  });
+
+  it("should use the precision of the bounds too", () => {
+    assert.deepEqual([...range(0.05, 0.3, 0.1)], [0.05, 0.15, 0.25, 0.3]);
+  });
+
+  it("should step down by decimals", () => {
+    assert.deepEqual([...range(1, 0, -0.25)], [1, 0.75, 0.5, 0.25, 0]);
+  });
+});
+
+describe("Invalid Range Steps", () => {
+  it("should reject a zero step", () => {
+    assert.throws(() => range(1, 10, 0), {
+      name: "RangeError",
+      message: "Range step must be a non-zero number, got 0",
+    });
+    assert.throws(() => parse("{1,10,0}"), RangeError);
+  });
+
+  it("should reject a step leading away from the end", () => {
+    assert.throws(() => range(10, 1, 1), {
+      name: "RangeError",
+      message: "Range step must be negative to go from 10 to 1, got 1",
+    });
+    assert.throws(() => count("{1,10,-1}"), {
+      name: "RangeError",
+      message: "Range step must be positive to go from 1 to 10, got -1",
+    });
+  });
+
+  it("should allow any step for a single value", () => {
+    assert.deepEqual([...range(5, 5, -1)], [5]);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, count, sample } from "../src/index.mjs";
+
+describe("sample()", () => {
+  it("should pick distinct combinations of the template", () => {
+    const template = "{a|b|c} {1,10} {x|{y|z}}";
+    const strings = [...parse(template)];
+    const picks = sample(template, 40);
+
+    assert.equal(picks.length, 40);
+    assert.equal(new Set(picks).size, 40);
+    for (const pick of picks) {
+      assert.ok(strings.includes(pick));
+    }
+  });
+
+  it("should return every combination when k exceeds the count", () => {
+    const template = "{a|b} {1,3}";
+    const picks = sample(template, 100);
+
+    assert.deepEqual(picks.sort(), [...parse(template)].sort());
+    assert.deepEqual(sample(template, 0), []);
+  });
+
+  it("should pick the same combinations for the same seed", () => {
+    const template = "{1,1000}-{1,1000}-{1,10}";
+
+    assert.deepEqual(
+      sample(template, 50, { seed: 42 }),
+      sample(template, 50, { seed: 42 })
+    );
+    assert.notDeepEqual(
+      sample(template, 50, { seed: 42 }),
+      sample(template, 50, { seed: 43 })
+    );
+  });
+
+  it("should sample from huge spaces", () => {
+    const template = "{1,1000000}-{1,1000000}-{1,1000000}";
+    const picks = sample(template, 500, { seed: 1 });
+
+    assert.equal(count(template), 1000000000000000000n);
+    assert.equal(new Set(picks).size, 500);
+  });
+
+  it("should resolve back references", () => {
+    for (const pick of sample("{a|b|c} {1,5} {$0}", 10)) {
+      assert.match(pick, /^([abc]) \d \1$/);
+    }
+  });
+});
+
+describe("parse() with shuffle", () => {
+  it("should yield every combination exactly once", () => {
+    for (let n = 1; n <= 40; n++) {
+      const values = [...parse(`{1,${n}}`, { shuffle: true })];
+      assert.equal(values.length, n);
+      assert.equal(new Set(values).size, n);
+    }
+  });
+
+  it("should yield the combinations in a different order", () => {
+    const template = "{a|b|c|d} {1,25}";
+    const ordered = [...parse(template)];
+    const shuffled = [...parse(template, { shuffle: true, seed: 3 })];
+
+    assert.notDeepEqual(shuffled, ordered);
+    assert.deepEqual([...shuffled].sort(), [...ordered].sort());
+  });
+
+  it("should repeat the same order for the same seed", () => {
+    const template = parse("{a|b|c|d} {1,25}", { shuffle: true, seed: 3 });
+
+    assert.deepEqual([...template], [...template]);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, at, slice, shard } from "../src/index.mjs";
+import { expandParallel } from "../src/node.mjs";
+
+const collect = async (asyncIterable) => {
+  const values = [];
+  for await (const value of asyncIterable) values.push(value);
+  return values;
+};
+
+const templates = [
+  "{a|b}{1,3}",
+  "{x=a|{b|c} d}{1,2} {$x|upper}",
+  "{2* a|b|c}-{?y|z}",
+  "{A,C}{q|{r|{s|t}}}",
+  "plain text",
+];
+
+describe("slice()", () => {
+  it("should give the combinations between two positions", () => {
+    assert.deepEqual([...slice("{a|b}{1,3}", 2, 4)], ["a3", "b1"]);
+    assert.deepEqual([...slice("{a|b}{1,3}", 4)], ["b2", "b3"]);
+  });
+
+  it("should match parse for every start and end", () => {
+    for (const template of templates) {
+      const values = [...parse(template)];
+      for (let start = 0; start <= values.length; start++) {
+        for (let end = start; end <= values.length; end++) {
+          assert.deepEqual(
+            [...slice(template, start, end)],
+            values.slice(start, end),
+            `${template} from ${start} to ${end}`
+          );
+        }
+      }
+    }
+  });
+
+  it("should count negative positions from the end and clamp positions", () => {
+    assert.deepEqual([...slice("{1,1000000}", -2)], ["999999", "1000000"]);
+    assert.deepEqual([...slice("{1,5}", 3, 100)], ["4", "5"]);
+    assert.deepEqual([...slice("{1,5}", 4, 2)], []);
+  });
+
+  it("should start deep into huge templates without walking to it", () => {
+    const template = "{1,1000000}{1,1000000}{1,1000000}";
+    const start = 10n ** 17n;
+    const values = [...slice(template, start, start + 2n)];
+
+    assert.deepEqual(values, [at(template, start), at(template, start + 1n)]);
+  });
+
+  it("should give the positions it covers", () => {
+    const values = slice("{1,1000000}{1,1000000}", -10);
+
+    assert.equal(values.start, 999999999990);
+    assert.equal(values.end, 1000000000000);
+  });
+
+  it("should skip combinations left out by constraints", () => {
+    const template = "{a|b}{1,3}!{0=a,1=2}";
+
+    assert.deepEqual([...slice(template, 0, 3)], ["a1", "a3"]);
+    assert.deepEqual(
+      [...slice("{1,6}", 0, 4, { where: ([n]) => n % 2 === 0 })],
+      ["2", "4"]
+    );
+  });
+
+  it("should reject positions that aren't integers", () => {
+    assert.throws(() => slice("{a|b}", 0.5), {
+      name: "RangeError",
+      message: "Slice start must be an integer, got 0.5",
+    });
+  });
+});
+
+describe("shard()", () => {
+  it("should split the output into contiguous shards", () => {
+    assert.deepEqual([...shard("{a|b}{1,3}", 0, 2)], ["a1", "a2", "a3"]);
+    assert.deepEqual([...shard("{a|b}{1,3}", 1, 2)], ["b1", "b2", "b3"]);
+  });
+
+  it("should give the output of parse when joined", () => {
+    for (const template of templates) {
+      for (const n of [1, 2, 3, 7]) {
+        const shards = Array.from({ length: n }, (_, i) => [
+          ...shard(template, i, n),
+        ]);
+        assert.deepEqual(shards.flat(), [...parse(template)]);
+      }
+    }
+  });
+
+  it("should give shards of nearly equal size", () => {
+    const sizes = [0, 1, 2]
+      .map((i) => shard("{1,10}", i, 3))
+      .map(({ start, end }) => end - start);
+    assert.deepEqual(sizes, [3, 3, 4]);
+  });
+
+  it("should reject invalid shards", () => {
+    assert.throws(() => shard("{a|b}", 2, 2), {
+      name: "RangeError",
+      message: "Shard index must be an integer from 0 to 1, got 2",
+    });
+    assert.throws(() => shard("{a|b}", 0, 0), RangeError);
+  });
+});
+
+describe("expandParallel()", () => {
+  const template = "{a|b|c}{1,50}-{x|y}";
+
+  it("should expand in the order of parse", async () => {
+    const values = await collect(
+      expandParallel(template, { workers: 3, sliceSize: 7 })
+    );
+    assert.deepEqual(values, [...parse(template)]);
+  });
+
+  it("should expand every combination out of order", async () => {
+    const values = await collect(
+      expandParallel(template, { workers: 2, sliceSize: 5, ordered: false })
+    );
+    assert.deepEqual(values.sort(), [...parse(template)].sort());
+  });
+
+  it("should pass template options to the workers", async () => {
+    const values = await collect(
+      expandParallel("<#n><a|b>", {
+        patternStart: "<",
+        patternEnd: ">",
+        lexicon: { n: ["1", "2"] },
+        workers: 2,
+        sliceSize: 1,
+      })
+    );
+    assert.deepEqual(values, ["1a", "1b", "2a", "2b"]);
+  });
+
+  it("should stop the workers when iteration stops early", async () => {
+    const values = [];
+    for await (const value of expandParallel("{1,1000000}", {
+      workers: 2,
+      sliceSize: 100,
+    })) {
+      values.push(value);
+      if (values.length === 250) break;
+    }
+    assert.equal(values[249], "250");
+  });
+
+  it("should report invalid templates and options", async () => {
+    await assert.rejects(collect(expandParallel("{a|b", { strict: true })), {
+      name: "SpintaxSyntaxError",
+    });
+    await assert.rejects(
+      collect(expandParallel("{1,0,1}", { workers: 1 })),
+      RangeError
+    );
+    await assert.rejects(
+      collect(expandParallel("{a|b}", { workers: 0 })),
+      RangeError
+    );
+  });
+});
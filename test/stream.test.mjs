@@ -0,0 +1,142 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, compile, chunks, toReadableStream } from "../src/index.mjs";
+import { toNodeReadable } from "../src/node.mjs";
+
+/**
+ * Wraps an iterable to count how many values were taken from it
+ */
+const counted = (iterable) => {
+  const counter = { taken: 0 };
+  counter[Symbol.iterator] = function* () {
+    for (const value of iterable) {
+      counter.taken++;
+      yield value;
+    }
+  };
+  return counter;
+};
+
+const collect = async (asyncIterable) => {
+  const values = [];
+  for await (const value of asyncIterable) values.push(value);
+  return values;
+};
+
+describe("Async Iteration", () => {
+  it("should iterate parse asynchronously", async () => {
+    const values = await collect(parse("{a|b}{1,2}"));
+    assert.deepEqual(values, ["a1", "a2", "b1", "b2"]);
+  });
+
+  it("should iterate compile asynchronously", async () => {
+    const values = await collect(compile`${["a", "b"]}!`);
+    assert.deepEqual(values, ["a!", "b!"]);
+  });
+
+  it("should let other tasks run during long iterations", async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    let values = 0;
+    for await (const _ of parse("{1,100}{1,100}")) values++;
+    clearInterval(timer);
+
+    assert.equal(values, 10000);
+    assert.ok(ticks > 0);
+  });
+});
+
+describe("chunks()", () => {
+  it("should yield single values by default", async () => {
+    assert.deepEqual(await collect(chunks(parse("{a|b}"))), ["a", "b"]);
+  });
+
+  it("should batch values into arrays", async () => {
+    const values = await collect(chunks(parse("{1,5}"), { batchSize: 2 }));
+    assert.deepEqual(values, [["1", "2"], ["3", "4"], ["5"]]);
+  });
+
+  it("should join values with a separator", async () => {
+    const values = await collect(
+      chunks(parse("{1,5}"), { separator: "\n", batchSize: 2 })
+    );
+    assert.deepEqual(values, ["1\n2\n", "3\n4\n", "5\n"]);
+  });
+
+  it("should accept async iterables", async () => {
+    async function* letters() {
+      yield "a";
+      yield "b";
+    }
+    const values = await collect(chunks(letters(), { separator: "," }));
+    assert.deepEqual(values, ["a,", "b,"]);
+  });
+
+  it("should reject an invalid batch size", async () => {
+    await assert.rejects(
+      collect(chunks(parse("{a|b}"), { batchSize: 0 })),
+      RangeError
+    );
+  });
+});
+
+// Node.js 16 has no global ReadableStream
+const webStreams = typeof ReadableStream !== "undefined";
+
+describe("toReadableStream()", { skip: !webStreams }, () => {
+  it("should stream every value", async () => {
+    const stream = toReadableStream(parse("{a|b}{1,2}"), { separator: "\n" });
+    const text = (await collect(stream)).join("");
+
+    assert.equal(text, "a1\na2\nb1\nb2\n");
+  });
+
+  it("should only generate values as the stream is read", async () => {
+    const source = counted(parse("{1,1000}"));
+    const reader = toReadableStream(source, { batchSize: 3 }).getReader();
+
+    const { value } = await reader.read();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.deepEqual(value, ["1", "2", "3"]);
+    assert.ok(source.taken < 100, `${source.taken} values generated`);
+    await reader.cancel();
+  });
+});
+
+describe("toReadableStream() without web streams", { skip: webStreams }, () => {
+  it("should throw a clear error", () => {
+    assert.throws(
+      () => toReadableStream(parse("{a|b}")),
+      /ReadableStream is not available/
+    );
+  });
+});
+
+describe("toNodeReadable()", () => {
+  it("should stream every value", async () => {
+    const stream = toNodeReadable(parse("{a|b}{1,2}"), { separator: "\n" });
+    const text = (await collect(stream)).join("");
+
+    assert.equal(text, "a1\na2\nb1\nb2\n");
+  });
+
+  it("should stream values in object mode without a separator", async () => {
+    const stream = toNodeReadable(parse("{a|b}"), { batchSize: 2 });
+
+    assert.equal(stream.readableObjectMode, true);
+    assert.deepEqual(await collect(stream), [["a", "b"]]);
+  });
+
+  it("should only generate values as the stream is read", async () => {
+    const source = counted(parse("{1,100000}"));
+    const stream = toNodeReadable(source, { separator: "\n" });
+
+    stream.read();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.ok(source.taken < 1000, `${source.taken} values generated`);
+    stream.destroy();
+  });
+});
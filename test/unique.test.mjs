@@ -0,0 +1,118 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, compile, count, countUnique } from "../src/index.mjs";
+
+describe("parse() with unique", () => {
+  it("should remove duplicate outputs", () => {
+    assert.deepEqual([...parse("{a|a|b}", { unique: true })], ["a", "b"]);
+    assert.deepEqual(
+      [...parse("{the |}{the |}end", { unique: true })],
+      ["the the end", "the end", "end"]
+    );
+  });
+
+  it("should count the skipped duplicates", () => {
+    const values = parse("{the |}{the |}end", { unique: true });
+
+    assert.equal(values.duplicates, 0);
+    [...values];
+    assert.equal(values.duplicates, 1);
+    [...values];
+    assert.equal(values.duplicates, 1);
+  });
+
+  it("should not count duplicates without it", () => {
+    const values = parse("{a|a}");
+
+    assert.deepEqual([...values], ["a", "a"]);
+    assert.equal(values.duplicates, undefined);
+  });
+
+  it("should combine with shuffle and where", () => {
+    const values = [
+      ...parse("{a|a|b}{1,3}", {
+        unique: true,
+        shuffle: true,
+        seed: 1,
+        where: ([, n]) => n !== 2,
+      }),
+    ];
+
+    assert.deepEqual(values.sort(), ["a1", "a3", "b1", "b3"]);
+  });
+
+  it("should iterate asynchronously", async () => {
+    const values = [];
+    for await (const value of parse("{x|x}", { unique: true })) {
+      values.push(value);
+    }
+    assert.deepEqual(values, ["x"]);
+  });
+
+  it("should keep removing duplicates past the limit", () => {
+    const template = "{1,200}-{1,50}{a|a}";
+    const values = parse(template, { unique: { limit: 100 } });
+    const unique = [...values];
+
+    assert.equal(unique.length, 10000);
+    assert.equal(new Set(unique).size, 10000);
+    assert.equal(values.duplicates, 10000);
+  });
+
+  it("should reject an invalid limit or memory", () => {
+    assert.throws(() => parse("{a}", { unique: { limit: -1 } }), {
+      name: "RangeError",
+      message: "Unique limit must be a non-negative integer, got -1",
+    });
+    assert.throws(() => parse("{a}", { unique: { memory: 0 } }), RangeError);
+  });
+});
+
+describe("compile().unique", () => {
+  it("should remove duplicate outputs", () => {
+    const values = compile`${["a", "a", "b"]}${[1, 1]}`.unique();
+
+    assert.deepEqual([...values], ["a1", "b1"]);
+    assert.equal(values.duplicates, 4);
+  });
+
+  it("should combine with where", () => {
+    const values = [
+      ...compile`${["a", "b"]}${["", "b"]}`
+        .unique()
+        .where(([first]) => first === "b"),
+    ];
+
+    assert.deepEqual(values, ["b", "bb"]);
+  });
+});
+
+describe("countUnique()", () => {
+  it("should count identical options once", () => {
+    assert.equal(count("{a|a|b}"), 3);
+    assert.equal(countUnique("{a|a|b}"), 2);
+    assert.equal(countUnique("{red|blue|red} {box|box}"), 2);
+  });
+
+  it("should compare nested patterns, not just text", () => {
+    assert.equal(countUnique("{x {1,3}|x {1,3}|y}"), 4);
+    assert.equal(countUnique("{{a|b}|{a|b}}"), 2);
+    assert.equal(countUnique("{a:3|a:1}", { weightMarker: ":" }), 1);
+  });
+
+  it("should count the empty option of optional patterns once", () => {
+    assert.equal(countUnique("{?a}"), 2);
+    assert.equal(countUnique("{a||}"), 2);
+  });
+
+  it("should apply exclusions and where", () => {
+    assert.equal(countUnique("{a|a}{b|c}!{1=b}"), 1);
+    assert.equal(countUnique("{1|1|2}", { where: ([n]) => n === "2" }), 1);
+  });
+
+  it("should only find identical options", () => {
+    assert.equal(countUnique("{the |}{the |}end"), 4);
+    assert.equal(countUnique("{big} {big|small}"), 2);
+  });
+});
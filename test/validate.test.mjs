@@ -0,0 +1,191 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parse,
+  count,
+  choose,
+  at,
+  indexOf,
+  sample,
+  slice,
+  parseToAst,
+  validate,
+  SpintaxSyntaxError,
+} from "../src/index.mjs";
+
+const codes = (template, options) =>
+  validate(template, options).map(({ code, severity }) => [code, severity]);
+
+describe("validate()", () => {
+  it("should find nothing wrong with valid templates", () => {
+    for (const template of [
+      "Hello {world|there}",
+      "{n=1,5} {$n|upper} {$0}",
+      "{2* a|b|c}!{0=a, b}",
+      "{a|b}!{0=a}",
+      "\\{not a pattern\\}",
+      "{#city}",
+    ]) {
+      assert.deepEqual(
+        validate(template, { lexicon: { city: ["Paris"] } }),
+        [],
+        template
+      );
+    }
+  });
+
+  it("should report unclosed patterns", () => {
+    assert.deepEqual(validate("Hi {a|b"), [
+      {
+        code: "unclosed-pattern",
+        severity: "error",
+        message: 'Pattern start "{" is never closed, so it is literal text',
+        start: 3,
+        end: 4,
+        line: 1,
+        column: 4,
+      },
+    ]);
+  });
+
+  it("should warn about unmatched pattern ends and empty patterns", () => {
+    assert.deepEqual(codes("a}b {}"), [
+      ["unmatched-pattern-end", "warning"],
+      ["empty-pattern", "warning"],
+    ]);
+  });
+
+  it("should report back references to no earlier pattern", () => {
+    assert.deepEqual(codes("{a|b} {$2}"), [
+      ["invalid-back-reference", "error"],
+    ]);
+    assert.deepEqual(codes("{$x} {x=a|b}"), [
+      ["invalid-back-reference", "error"],
+    ]);
+  });
+
+  it("should report bounds that don't make a range", () => {
+    assert.deepEqual(codes("{1,2,x}"), [["invalid-range", "error"]]);
+    assert.deepEqual(codes("{a,9}"), [["invalid-range", "error"]]);
+    assert.deepEqual(codes("{ab,cd}"), []);
+  });
+
+  it("should report invalid range steps", () => {
+    assert.deepEqual(codes("{1,10,0} {10,1,1}"), [
+      ["invalid-range-step", "error"],
+      ["invalid-range-step", "error"],
+    ]);
+  });
+
+  it("should report unknown filters and lexicon entries", () => {
+    assert.deepEqual(codes("{a|b}{$0|shout}"), [["unknown-filter", "error"]]);
+    assert.deepEqual(codes("{#city}"), [["unknown-lexicon-entry", "warning"]]);
+  });
+
+  it("should report unknown lexicon entries as errors when a lexicon is given", () => {
+    const lexicon = { cities: ["Paris", "Rome"] };
+    assert.deepEqual(codes("{#city}", { lexicon }), [
+      ["unknown-lexicon-entry", "error"],
+    ]);
+    assert.deepEqual(codes("{#cities}", { lexicon }), []);
+  });
+
+  it("should report exclusions for patterns that don't exist", () => {
+    assert.deepEqual(codes("{a|b}!{1=a}!{plan=a}"), [
+      ["invalid-exclusion", "warning"],
+      ["invalid-exclusion", "warning"],
+      ["literal-name", "warning"],
+    ]);
+  });
+
+  it("should give lines and columns", () => {
+    const [diagnostic] = validate("first line\nsecond {a|b\nthird");
+
+    assert.equal(diagnostic.line, 2);
+    assert.equal(diagnostic.column, 8);
+    assert.equal(diagnostic.start, 18);
+  });
+
+  it("should list diagnostics in template order, once each", () => {
+    const diagnostics = validate("{2* a|b|{}} {$9} {1,2,x}");
+
+    assert.deepEqual(
+      diagnostics.map(({ code }) => code),
+      ["empty-pattern", "invalid-back-reference", "invalid-range"]
+    );
+  });
+
+  it("should use custom delimiters", () => {
+    assert.deepEqual(codes("<a|b", { patternStart: "<", patternEnd: ">" }), [
+      ["unclosed-pattern", "error"],
+    ]);
+  });
+});
+
+describe("strict", () => {
+  it("should throw a SpintaxSyntaxError for the first error", () => {
+    assert.throws(() => parse("Hi {a|b} {$5}", { strict: true }), {
+      name: "SpintaxSyntaxError",
+      code: "invalid-back-reference",
+      message:
+        'Back reference "{$5}" doesn\'t refer to an earlier pattern, so it is literal text (line 1, column 10)',
+      start: 9,
+      end: 13,
+      line: 1,
+      column: 10,
+    });
+  });
+
+  it("should be a SyntaxError with every diagnostic", () => {
+    try {
+      count("a}b {1,2,x}", { strict: true });
+      assert.fail("Expected an error");
+    } catch (error) {
+      assert.ok(error instanceof SpintaxSyntaxError);
+      assert.ok(error instanceof SyntaxError);
+      assert.equal(error.code, "invalid-range");
+      assert.equal(error.diagnostics.length, 2);
+    }
+  });
+
+  it("should throw for choose too", () => {
+    assert.throws(() => choose("{a|b", { strict: true }), SpintaxSyntaxError);
+  });
+
+  it("should throw for every function that takes a template", () => {
+    for (const call of [
+      () => at("{a|b", 0, { strict: true }),
+      () => indexOf("{a|b", [], { strict: true }),
+      () => sample("{a|b", 1, { strict: true }),
+      () => slice("{a|b", 0, 1, { strict: true }),
+      () => parseToAst("{a|b", { strict: true }),
+    ]) {
+      assert.throws(call, SpintaxSyntaxError);
+    }
+  });
+
+  it("should throw for unknown lexicon entries when a lexicon is given", () => {
+    const lexicon = { cities: ["Paris", "Rome"] };
+    assert.throws(
+      () => parse("{#typo}", { lexicon, strict: true }),
+      SpintaxSyntaxError
+    );
+    assert.deepEqual([...parse("{#typo}", { strict: true })], ["#typo"]);
+  });
+
+  it("should not make validate throw", () => {
+    assert.equal(validate("{a|b", { strict: true }).length, 1);
+  });
+
+  it("should not throw for warnings", () => {
+    assert.deepEqual([...parse("{}{a|b}", { strict: true })], ["{}a", "{}b"]);
+    assert.equal(count("a}{a|b}", { strict: true }), 2);
+  });
+
+  it("should keep the forgiving behavior without it", () => {
+    assert.deepEqual([...parse("{a|b} {$2}")], ["a {$2}", "b {$2}"]);
+    assert.deepEqual([...parse("{1,2,x}")], ["1,2,x"]);
+    assert.throws(() => parse("{1,10,0}"), RangeError);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { parse, count, choose, validate } from "../src/index.mjs";
+
+// Weights are only read with a weight marker
+const weighted = { weightMarker: ":" };
+
+describe("Weighted Choices", () => {
+  it("should not change the output of parse", () => {
+    const template = parse("{common:5|rare:1} {x|y:2}", weighted);
+    const values = [...template];
+
+    assert.deepEqual(values, ["common x", "common y", "rare x", "rare y"]);
+  });
+
+  it("should not change the number of combinations", () => {
+    assert.equal(count("{common:5|rare:1} {x|y:2}", weighted), 4);
+  });
+
+  it("should only treat a trailing number as a weight", () => {
+    const template = parse("{a:b|c:1d|e: 2|f:2}", weighted);
+    const values = [...template];
+
+    assert.deepEqual(values, ["a:b", "c:1d", "e: 2", "f"]);
+  });
+
+  it("should keep text with a colon and a number whole by default", () => {
+    assert.deepEqual(
+      [...parse("{localhost:8080|example.com:443}")],
+      ["localhost:8080", "example.com:443"]
+    );
+    assert.deepEqual(
+      [...parse("Rated {Score:5|Score:4}")],
+      ["Rated Score:5", "Rated Score:4"]
+    );
+    assert.equal(
+      choose("{localhost:8080|example.com:443}")(1),
+      "example.com:443"
+    );
+    assert.deepEqual(validate("{localhost:8080|example.com:443}"), []);
+  });
+
+  it("should keep times and ratios whole", () => {
+    assert.deepEqual(
+      [...parse("Meet at {10:30|11:45}", weighted)],
+      ["Meet at 10:30", "Meet at 11:45"]
+    );
+    assert.deepEqual([...parse("{16:9|4:3}", weighted)], ["16:9", "4:3"]);
+    assert.deepEqual(choose("{16:9|4:3}", weighted)(1), "4:3");
+    assert.deepEqual(validate("{10:30|11:45}", weighted), []);
+  });
+
+  it("should output escaped weight markers", () => {
+    const template = parse(String.raw`{10\:30|11\:45}`, weighted);
+    const values = [...template];
+
+    assert.deepEqual(values, ["10:30", "11:45"]);
+  });
+
+  it("should weight options with nested patterns", () => {
+    const template = parse("{a|{b|c} d:3}", weighted);
+    const values = [...template];
+
+    assert.deepEqual(values, ["a", "b d", "c d"]);
+    assert.equal(
+      count("{a|{b|c} d:3}", { ...weighted, probabilityOf: "b d" }),
+      0.375
+    );
+  });
+
+  it("should support a custom weight marker", () => {
+    const template = "{a~3|b~1}";
+
+    assert.deepEqual([...parse(template, { weightMarker: "~" })], ["a", "b"]);
+    assert.equal(
+      count(template, { weightMarker: "~", probabilityOf: "a" }),
+      0.75
+    );
+  });
+
+  it("should never choose options with zero weight", () => {
+    const picker = choose("{never:0|always}", weighted);
+
+    for (let i = 0; i < 20; i++) {
+      assert.equal(picker(), "always");
+    }
+    // Explicit indices still reach every option
+    assert.equal(picker(0), "never");
+  });
+
+  it("should choose options by weight", () => {
+    const picker = choose("{a:9|b:1}", weighted);
+    let hits = 0;
+
+    for (let i = 0; i < 2000; i++) {
+      if (picker() === "a") hits++;
+    }
+    assert.ok(hits > 1600 && hits < 1990, `picked "a" ${hits} times`);
+  });
+
+  it("should report the probability of an output", () => {
+    const template = "{common:3|rare:1} {a|b}";
+
+    assert.equal(
+      count(template, { ...weighted, probabilityOf: "common a" }),
+      0.375
+    );
+    assert.equal(
+      count(template, { ...weighted, probabilityOf: "rare b" }),
+      0.125
+    );
+    assert.equal(count(template, { ...weighted, probabilityOf: "other" }), 0);
+  });
+
+  it("should add up every way to produce an output", () => {
+    assert.equal(count("{a|{a|b}}", { probabilityOf: "a" }), 0.75);
+    assert.equal(count("{x|{1,4}} {$0}", { probabilityOf: "3 3" }), 0.125);
+  });
+});
@@ -16,27 +16,269 @@ export interface CartesianGenerator<T = any> {
 }
 
 /**
- * Creates a generator that yields numbers within a specified range
+ * Generator for numerical and character ranges
+ */
+export interface RangeGenerator extends CartesianGenerator<number | string> {
+  /**
+   * Number of values in the range, computed without generating them
+   */
+  readonly size: number;
+  /**
+   * Returns the value at a given index, or undefined if the index is out of range
+   */
+  at(index: number): number | string | undefined;
+}
+
+/**
+ * Options for formatting the values of a range
+ */
+export interface RangeOptions {
+  /** Zero pad numbers to this width, not counting the sign */
+  pad?: number;
+  /** Turns each value into the value to yield */
+  format?: (value: number | string) => any;
+}
+
+/**
+ * Creates a generator that yields numbers or characters within a specified range
  * @example
  * range(1, 5, 1) // yields 1, 2, 3, 4, 5
  * range(0, 10, 3, true) // yields 0, 3, 6, 9, 10 (note 10 is included)
+ * range(10, 1) // yields 10, 9, 8, ..., 1
+ * range(0, 1, 0.1) // yields 0, 0.1, 0.2, ..., 1
+ * range("A", "F") // yields "A", "B", "C", "D", "E", "F"
+ * range(1, 12, 1, true, { pad: 2 }) // yields "01", "02", ..., "12"
  */
 export function range(
-  start: number,
-  end: number,
+  start: number | string,
+  end: number | string,
   step?: number,
-  includeEnd?: boolean
-): CartesianGenerator<number>;
+  includeEnd?: boolean,
+  options?: RangeOptions
+): RangeGenerator;
 
 /**
- * Tagged template function that processes template strings with embedded generators
+ * Generator for picks of several distinct items at once
+ */
+export interface PickGenerator extends CartesianGenerator<string> {
+  /**
+   * Number of picks (nCk or nPk), a BigInt past Number.MAX_SAFE_INTEGER
+   */
+  readonly size: number | bigint;
+  /**
+   * Returns the pick at a given index, or undefined if the index is out of range
+   */
+  at(index: number | bigint): string | undefined;
+}
+
+/**
+ * Options for picking items
+ */
+export interface PickOptions {
+  /** Text between the picked items (default: ', ') */
+  joiner?: string;
+}
+
+/**
+ * Creates a generator that picks k distinct items, ignoring their order
+ * @example
+ * combinations(["A", "B", "C"], 2) // yields "A, B", "A, C", "B, C"
+ */
+export function combinations(
+  items: any[],
+  k: number,
+  options?: PickOptions
+): PickGenerator;
+
+/**
+ * Creates a generator that picks k distinct items in order
+ * @example
+ * permutations(["A", "B", "C"], 2) // yields "A, B", "A, C", "B, A", "B, C", "C, A", "C, B"
+ */
+export function permutations(
+  items: any[],
+  k: number,
+  options?: PickOptions
+): PickGenerator;
+
+/**
+ * The combinations of a compiled template
+ */
+export interface CompiledTemplate
+  extends Iterable<string>,
+    AsyncIterable<string> {
+  /**
+   * Keeps only the combinations the predicate accepts
+   * @param predicate - Receives the combination of expression values
+   */
+  where(
+    predicate: (values: any[], named: Record<string, any>) => unknown
+  ): CompiledTemplate;
+  /**
+   * Removes duplicate outputs, counting them in `duplicates`
+   */
+  unique(options?: UniqueOptions): CompiledTemplate;
+  /**
+   * Sets the order of the combinations: "lexicographic" (default) reads the last
+   * expression fastest and lets only the first be infinite, "diagonal" lets any
+   * expression be infinite and still reaches every combination
+   */
+  strategy(name: ProductStrategy): CompiledTemplate;
+  /** Number of duplicates skipped by the latest iteration, with `unique` */
+  duplicates?: number;
+}
+
+/**
+ * Order of the combinations of compiled template expressions
+ */
+export type ProductStrategy = "lexicographic" | "diagonal";
+
+/**
+ * Options for removing duplicate outputs
+ */
+export interface UniqueOptions {
+  /**
+   * Number of distinct outputs remembered exactly (default: 100000). Past it, outputs are
+   * remembered in a Bloom filter, which can skip a rare output that isn't a duplicate
+   */
+  limit?: number;
+  /** Size of the Bloom filter in bytes (default: 16 MiB) */
+  memory?: number;
+}
+
+/**
+ * The combinations of a parsed template
+ */
+export interface ParsedTemplate<T = string>
+  extends IterableIterator<T>,
+    AsyncIterable<T> {
+  /** Yields an object describing each combination */
+  entries(): IterableIterator<TemplateEntry>;
+  /** Number of duplicates skipped by the latest iteration, with `unique` */
+  duplicates?: number;
+}
+
+/**
+ * A combination of a template, with how it was made
+ */
+export interface TemplateEntry {
+  /** The combination */
+  text: string;
+  /** Position in the output without constraints, as taken by `at` */
+  index: number | bigint;
+  /** Index of the value of each top-level pattern, as taken by `choose` and `indexOf` */
+  choices: Array<number | bigint>;
+  /** Values of the top-level patterns and back references, in template order */
+  values: Array<any>;
+}
+
+/**
+ * A back reference to an earlier expression of a compiled template, made with `ref`
+ */
+export interface Reference {
+  /** Index or name of the expression */
+  target: number | string;
+}
+
+/**
+ * Creates a back reference for compile, repeating the value of an earlier expression.
+ * Expressions are counted from 0, leaving out references, and named by wrapping
+ * them in an object with a single property
+ * @example
+ * compile`${["red", "blue"]} paint, ${ref(0)} walls` // "red paint, red walls", ...
+ * compile`${{ size: ["S", "M"] }}/${range(1, 2)}: size ${ref("size")}`
+ */
+export function ref(target: number | string): Reference;
+
+/**
+ * Tagged template function that processes template strings with embedded generators.
+ * Generators, arrays, other iterables (like Sets, generator functions, the result of
+ * `parse` or other compiled templates) are expanded, other values are used whole
  * @example
  * compile`Hello ${['world', 'universe']}!`
+ * compile`${['free', 'pro']} plan, ${['basic', 'premium']} support`
+ *   .where(([plan, support]) => !(plan === 'free' && support === 'premium'))
+ * compile`${['a', 'a', 'b']}`.unique() // "a", "b"
+ * compile`${new Set(['x', 'y'])}-${compile`${[1, 2]}!`}` // "x-1!", "x-2!", "y-1!", "y-2!"
+ * compile`${{ name: ['Ann', 'Bo'] }} said hi. ${ref('name')} left.`
  */
 export function compile(
   strings: TemplateStringsArray,
-  ...expressions: (CartesianGenerator<number | string> | string[] | number[])[]
-): IterableIterator<string>;
+  ...expressions: (
+    | Iterable<any>
+    | (() => Iterator<any>)
+    | Reference
+    | Record<string, any>
+    | string
+    | number
+  )[]
+): CompiledTemplate;
+
+/**
+ * Options shared by `parse`, `count` and `choose`
+ */
+export interface SpintaxOptions {
+  /** Pattern start delimiter (default: '{') */
+  patternStart?: string;
+  /** Pattern end delimiter (default: '}') */
+  patternEnd?: string;
+  /** Separator for range patterns (default: ',') */
+  separatorRange?: string;
+  /** Separator for choices patterns (default: '|') */
+  separatorChoices?: string;
+  /** Marker for back references (default: '$') */
+  backReferenceMarker?: string;
+  /** Escape character for literal delimiters, separators and markers (default: '\\') */
+  escapeCharacter?: string;
+  /** Marker for option weights, like ':'; options aren't weighted without one (default: none) */
+  weightMarker?: string;
+  /** Marker between a pattern's name and its content, names that could be text stay literal (default: '=') */
+  nameMarker?: string;
+  /** Marker for optional patterns (default: '?') */
+  optionalMarker?: string;
+  /** Marker for exclusions (default: '!') */
+  exclusionMarker?: string;
+  /** Marker for picks of several options, unordered (default: '*') */
+  combinationMarker?: string;
+  /** Marker for picks of several options, ordered (default: '!') */
+  permutationMarker?: string;
+  /** Marker for lexicon references (default: '#') */
+  lexiconMarker?: string;
+  /** Text between picked options, unless the pattern has its own (default: ', ') */
+  joiner?: string;
+  /** Custom filters for back references, by name (e.g. `{$0|reverse}`) */
+  filters?: Record<string, (value: string) => string>;
+  /**
+   * Lists of values for lexicon references, by name (e.g. `{#cities}`).
+   * Generators with a `size` and `at`, like `range`, are used as they are;
+   * other iterables, or functions returning them, are read into a list.
+   * Iterators like generator objects are only read once, so they can be reused across calls
+   */
+  lexicon?: Record<string, LexiconEntry>;
+  /**
+   * Throw a SpintaxSyntaxError for mistakes in the template, like an unclosed pattern,
+   * instead of guessing what was meant (see `validate`)
+   */
+  strict?: boolean;
+}
+
+/**
+ * The values of a lexicon entry
+ */
+export type LexiconEntry =
+  | Iterable<any>
+  | {
+      readonly size: number | bigint;
+      at(index: any): any;
+      values(): Iterable<any>;
+    }
+  | (() => Iterable<any>);
+
+/**
+ * Predicate over a combination, called with the values of the top-level
+ * patterns and an object of named pattern values
+ */
+export type Where = (values: any[], named: Record<string, any>) => unknown;
 
 /**
  * Parses a template string with special patterns and returns a generator
@@ -46,23 +288,56 @@ export function compile(
  * - {1,10,2} - Range from 1 to 10 with step 2
  * - {option1|option2|option3} - Choices between options
  * - {singleOption} - Single choice
- * - {$n} - Back reference to the nth choice (0-based index)
+ * - {option1|{option2|option3} option4} - Nested patterns inside options
+ * - {option1:3|option2:1} - Weighted choices with `weightMarker: ":"`, only used when choosing at random
+ * - {$n} - Back reference to the nth top-level choice (0-based index)
+ * - {name=option1|option2} - Named pattern
+ * - {$name} - Back reference to a named pattern
+ * - {2* option1|option2|option3} - Picks 2 distinct options, unordered (combinations)
+ * - {2! option1|option2|option3} - Picks 2 distinct options, ordered (permutations)
+ * - {2* and *option1|option2|option3} - Picks with a joiner between the picked options
+ * - !{0=a,name=b} - Exclusion, leaves out combinations where every condition holds
+ * - \{ \} \| \, \$ \\ - Escaped delimiters, separators and markers (literal text)
  *
  * @example
  * parse('Count: {1,5}') // Equivalent to compile`Count: ${range(1, 5)}`
  * parse('Color: {red|green|blue}') // Equivalent to compile`Color: ${['red', 'green', 'blue']}`
+ * parse('A {cat|{big|small} dog}') // "A cat", "A big dog", "A small dog"
  * parse('You {see|hear|feel} the work. Once you {$0}.') // Back references previous choice
+ * parse('{red|blue} {box|circle}', { shuffle: true, seed: 1 }) // Every combination once, shuffled
+ * parse('{the |}{the |}end', { unique: true }) // "the the end", "the end", "end"
+ * parse('{red|blue} {$0|upper}', { detailed: true }) // { text: "red RED", index: 0, choices: [0], values: ["red", "RED"] }, ...
  */
 export function parse(
   template: string,
-  options?: {
-    patternStart?: string;
-    patternEnd?: string;
-    separatorRange?: string;
-    separatorChoices?: string;
-    backReferenceMarker?: string;
+  options: ParseOptions & {
+    /** Yield objects describing each combination instead of strings */
+    detailed: true;
   }
-): IterableIterator<string>;
+): ParsedTemplate<TemplateEntry>;
+export function parse(
+  template: string,
+  options?: ParseOptions & {
+    /** Yield objects describing each combination instead of strings */
+    detailed?: false;
+  }
+): ParsedTemplate;
+
+/**
+ * Options for parse
+ */
+export type ParseOptions = SpintaxOptions & {
+  /** Keeps only combinations it accepts */
+  where?: Where;
+  /** Iterate the combinations in pseudo-random order instead */
+  shuffle?: boolean;
+  /** Seed for the shuffled order, the same seed always gives the same order */
+  seed?: string | number;
+  /** Custom source of random numbers in [0, 1) for the shuffled order */
+  random?: () => number;
+  /** Remove duplicate outputs, counting them in `duplicates` */
+  unique?: boolean | UniqueOptions;
+};
 
 /** Counts the number of combinations generated by a spintax template
  *
@@ -72,33 +347,476 @@ export function parse(
  * @example
  * count('Count: {1,5}') // 5
  * count('Color: {red|green|blue}') // 3
+ * count('{1,1000000}{1,1000000}{1,1000000}') // 1000000000000000000n (a BigInt past Number.MAX_SAFE_INTEGER)
+ * count('A {cat|{big|small} dog}') // 3
+ * count('Color: {red:3|blue:1}', { weightMarker: ':', probabilityOf: 'Color: red' }) // 0.75
+ * count('{free|pro} {basic|premium} !{0=free,1=premium}') // 3
  * count('You {see|hear|feel} the work. Once you {$0}.') // 3
  */
 export function count(
   template: string,
-  options?: {
-    patternStart?: string;
-    patternEnd?: string;
-    separatorRange?: string;
-    separatorChoices?: string;
-    backReferenceMarker?: string;
+  options?: SpintaxOptions & {
+    /** Always return the total as a BigInt */
+    bigint?: boolean;
+    /** Output to report the probability of instead of counting */
+    probabilityOf?: string;
+    /** Only counts combinations it accepts */
+    where?: Where;
+    /**
+     * With exclusions or `where`, estimate the total from this many
+     * combinations picked at random (1000 if true)
+     */
+    estimate?: boolean | number;
+    /** Seed for the combinations picked for an estimate */
+    seed?: string | number;
+    /** Custom source of random numbers in [0, 1) for an estimate */
+    random?: () => number;
+  }
+): number | bigint;
+
+/**
+ * Counts the combinations of a template like `count`, but counts identical
+ * options of a choices pattern, like the two in `{a|a}`, only once
+ *
+ * @example
+ * countUnique('{a|a|b}') // 2, where count gives 3
+ * countUnique('{the |}{the |}end') // 4, the options aren't identical
+ */
+export function countUnique(
+  template: string,
+  options?: SpintaxOptions & {
+    /** Always return the total as a BigInt */
+    bigint?: boolean;
+    /** Only counts combinations it accepts */
+    where?: Where;
+    /**
+     * With exclusions or `where`, estimate the total from this many
+     * combinations picked at random (1000 if true)
+     */
+    estimate?: boolean | number;
+    /** Seed for the combinations picked for an estimate */
+    seed?: string | number;
+    /** Custom source of random numbers in [0, 1) for an estimate */
+    random?: () => number;
   }
-): number;
+): number | bigint;
 
-export function chooseResult(...indicies: number[]): string;
+export function chooseResult(...indicies: (number | bigint)[]): string;
+export function chooseResult(named: Record<string, number | bigint>): string;
 
+export function chooseEntry(...indicies: (number | bigint)[]): TemplateEntry;
+export function chooseEntry(
+  named: Record<string, number | bigint>
+): TemplateEntry;
+
+/**
+ * Chooses one random or specified combination from the template
+ *
+ * The picker throws a RangeError for an index that isn't an integer from 0 to the
+ * last value of its pattern.
+ *
+ * @example
+ * const picker = choose("The {red|blue|green} {box|circle}");
+ * picker() // Random combination like "The red box"
+ * picker(0, 1) // Specific combination "The red circle"
+ * choose("The {red|blue|green} {box|circle}", { seed: 42 }) // Same picks on every run
+ * choose("The {red|blue|green} {box|circle}", { detailed: true })(2, 0) // { text: "The green box", index: 4, ... }
+ */
+export function choose(
+  template: string,
+  options: ChooseOptions & {
+    /** Return objects describing the combination instead of strings, like `parse` */
+    detailed: true;
+  }
+): typeof chooseEntry;
 export function choose(
   template: string,
-  options?: {
-    patternStart?: string;
-    patternEnd?: string;
-    separatorRange?: string;
-    separatorChoices?: string;
-    backReferenceMarker?: string;
+  options?: ChooseOptions & {
+    /** Return objects describing the combination instead of strings, like `parse` */
+    detailed?: false;
+  }
+): typeof chooseResult;
+
+/**
+ * Options for choose
+ */
+export type ChooseOptions = SpintaxOptions & {
+  /** Seed for the built-in deterministic random number generator */
+  seed?: string | number;
+  /** Custom source of random numbers in [0, 1) (default: Math.random) */
+  random?: () => number;
+};
+
+/**
+ * Returns the combination at a position of the template's output,
+ * without iterating to it
+ *
+ * @example
+ * at("{red|blue} {box|circle}", 1) // "red circle"
+ * at("{red|blue} {box|circle}", -1) // "blue circle"
+ */
+export function at(
+  template: string,
+  n: number | bigint,
+  options?: SpintaxOptions
+): string | undefined;
+
+/**
+ * Returns the position of a combination in the template's output,
+ * given one index per top-level pattern (the inverse of `at`)
+ *
+ * @example
+ * indexOf("{red|blue} {box|circle}", [0, 1]) // 1
+ */
+export function indexOf(
+  template: string,
+  choices: (number | bigint)[],
+  options?: SpintaxOptions
+): number | bigint;
+
+/**
+ * Picks up to `k` distinct combinations from the template at random, without replacement
+ *
+ * @example
+ * sample("{1,1000}-{1,1000}-{1,10}", 500, { seed: 42 }) // 500 distinct variants of 10 million
+ */
+export function sample(
+  template: string,
+  k: number,
+  options?: SpintaxOptions & {
+    /** Only picks combinations it accepts */
+    where?: Where;
+    /** Seed for the built-in deterministic random number generator */
+    seed?: string | number;
+    /** Custom source of random numbers in [0, 1) (default: Math.random) */
+    random?: () => number;
   }
-): chooseResult;
+): string[];
 
-declare module "spintax" {
-  export { parse, range, compile, count, chooseResult, choose };
-  export default parse;
+/**
+ * The combinations of a slice of a template's output
+ */
+export interface TemplateSlice
+  extends IterableIterator<string>,
+    AsyncIterable<string> {
+  /** Position of the first combination */
+  start: number | bigint;
+  /** Position after the last combination */
+  end: number | bigint;
 }
+
+/**
+ * Iterates the combinations from position `start` (inclusive) to `end` (exclusive)
+ * of a template's output, without going through the combinations before them.
+ * Negative positions count from the end
+ *
+ * @example
+ * slice("{a|b}{1,3}", 2, 4) // "a3", "b1"
+ * slice("{1,1000000}", -2) // "999999", "1000000"
+ */
+export function slice(
+  template: string,
+  start?: number | bigint,
+  end?: number | bigint,
+  options?: SpintaxOptions & {
+    /** Keeps only combinations it accepts */
+    where?: Where;
+  }
+): TemplateSlice;
+
+/**
+ * Iterates the `i`th of `n` slices of (nearly) equal size of a template's output
+ *
+ * @example
+ * shard("{a|b}{1,3}", 0, 2) // "a1", "a2", "a3"
+ * shard("{a|b}{1,3}", 1, 2) // "b1", "b2", "b3"
+ */
+export function shard(
+  template: string,
+  i: number,
+  n: number,
+  options?: SpintaxOptions & {
+    /** Keeps only combinations it accepts */
+    where?: Where;
+  }
+): TemplateSlice;
+
+/**
+ * A mistake found in a template
+ */
+export interface Diagnostic {
+  /** Identifies the kind of mistake, like "unclosed-pattern" */
+  code:
+    | "unclosed-pattern"
+    | "unmatched-pattern-end"
+    | "empty-pattern"
+    | "literal-name"
+    | "unreferenced-name"
+    | "invalid-back-reference"
+    | "invalid-range"
+    | "invalid-range-step"
+    | "unknown-filter"
+    | "unknown-lexicon-entry"
+    | "invalid-pick"
+    | "invalid-exclusion";
+  /** Errors are what `strict` throws for, warnings are most likely mistakes */
+  severity: "error" | "warning";
+  message: string;
+  /** Offset of the start of the mistake in the template */
+  start: number;
+  /** Offset of the end of the mistake in the template */
+  end: number;
+  /** Line of the start, from 1 */
+  line: number;
+  /** Column of the start, from 1 */
+  column: number;
+}
+
+/**
+ * Thrown with the `strict` option for the first error in a template
+ */
+export class SpintaxSyntaxError extends SyntaxError {
+  name: "SpintaxSyntaxError";
+  code: Diagnostic["code"];
+  start: number;
+  end: number;
+  line: number;
+  column: number;
+  /** Every diagnostic of the template, errors and warnings */
+  diagnostics: Diagnostic[];
+  constructor(diagnostic: Diagnostic, diagnostics?: Diagnostic[]);
+}
+
+/**
+ * Checks a template for mistakes that the other functions silently work around
+ *
+ * @example
+ * validate("{a|b} {$2}") // [{ code: "invalid-back-reference", severity: "error", line: 1, column: 7, ... }]
+ * validate("{a|b}") // []
+ */
+export function validate(
+  template: string,
+  options?: SpintaxOptions
+): Diagnostic[];
+
+/**
+ * Literal text, with escapes resolved
+ */
+export interface LiteralNode {
+  type: "literal";
+  value: string;
+  /** Offset of the node in the template string */
+  start: number;
+  /** Offset after the node in the template string */
+  end: number;
+}
+
+/**
+ * Choices between options, each option a list of nodes
+ */
+export interface ChoiceNode {
+  type: "choice";
+  /** Only present for named patterns */
+  name?: string;
+  /** Only present for optional segments like {?very }, whose last option is empty */
+  optional?: boolean;
+  options: SpintaxNode[][];
+  /** Only present if an option has a weight, unweighted options are undefined */
+  weights?: (number | undefined)[];
+  start: number;
+  end: number;
+}
+
+/**
+ * A numerical or character range
+ */
+export interface RangeNode {
+  type: "range";
+  /** Only present for named patterns */
+  name?: string;
+  /** Single characters for character ranges */
+  from: number | string;
+  to: number | string;
+  step: number;
+  /** Only present for zero-padded ranges, the width to pad to */
+  pad?: number;
+  start: number;
+  end: number;
+}
+
+/**
+ * A back reference to the nth top-level pattern, or to a named pattern
+ */
+export interface ReferenceNode {
+  type: "reference";
+  /** Only present for positional back references */
+  index?: number;
+  /** Only present for named back references */
+  name?: string;
+  /** Filters applied to the referenced value, in order */
+  filters?: string[];
+  start: number;
+  end: number;
+}
+
+/**
+ * Picks of k distinct options at once
+ */
+export interface PickNode {
+  type: "pick";
+  /** Only present for named patterns */
+  name?: string;
+  k: number;
+  /** True for permutations, false for combinations */
+  ordered: boolean;
+  /** Only present if the pattern has its own joiner */
+  joiner?: string;
+  /** Lists of literal nodes, one per option */
+  options: LiteralNode[][];
+  start: number;
+  end: number;
+}
+
+/**
+ * The values of an entry of the `lexicon` option
+ */
+export interface LexiconNode {
+  type: "lexicon";
+  /** Only present for named patterns */
+  name?: string;
+  /** Name of the lexicon entry */
+  entry: string;
+  start: number;
+  end: number;
+}
+
+/**
+ * Leaves out the combinations where every condition holds
+ */
+export interface ExclusionNode {
+  type: "exclusion";
+  /** Each condition compares a top-level (index) or named pattern with a value */
+  conditions: { index?: number; name?: string; value: string }[];
+  start: number;
+  end: number;
+}
+
+export type SpintaxNode =
+  | LiteralNode
+  | ChoiceNode
+  | RangeNode
+  | ReferenceNode
+  | PickNode
+  | LexiconNode
+  | ExclusionNode;
+
+/**
+ * The root of a parsed template
+ */
+export interface TemplateNode {
+  type: "template";
+  nodes: SpintaxNode[];
+  start: number;
+  end: number;
+}
+
+/**
+ * Parses a template string into an abstract syntax tree
+ *
+ * @example
+ * parseToAst("Hi {a|b}").nodes[1].options // [[{ type: "literal", value: "a", ... }], [...]]
+ */
+export function parseToAst(
+  template: string,
+  options?: SpintaxOptions
+): TemplateNode;
+
+/**
+ * Turns an abstract syntax tree back into a template string,
+ * escaping literal text where needed
+ *
+ * @example
+ * stringify(parseToAst("Hi {a|b}"), { patternStart: "<", patternEnd: ">" }) // "Hi <a|b>"
+ */
+export function stringify(
+  ast: TemplateNode | SpintaxNode,
+  options?: SpintaxOptions
+): string;
+
+/**
+ * An included template document, with the path its own includes are relative to
+ */
+export interface IncludedDocument {
+  path: string;
+  source: string;
+}
+
+/**
+ * Options for `fromDocument`
+ */
+export interface DocumentOptions extends SpintaxOptions {
+  /** Marker for definitions, includes and references to definitions (default: '@') */
+  definitionMarker?: string;
+  /** Marker for comment lines (default: '#') */
+  commentMarker?: string;
+  /** Reads an included document, given its path as written and the path of the including document */
+  include?: (
+    path: string,
+    from: string | undefined
+  ) => string | IncludedDocument | undefined;
+  /** Path of the document, passed on to `include` */
+  path?: string;
+}
+
+/**
+ * Turns a template document into a template string for `parse`, `count`, `choose`
+ * and the other functions
+ *
+ * Documents spread a template over several lines, with comment lines (`# ...`),
+ * definitions (`@color = {red|green|blue}`) pasted in wherever `{@color}` appears,
+ * and includes (`@include colors.spin`) read through the `include` option.
+ * Line breaks inside a pattern are left out along with the indentation around them.
+ *
+ * @example
+ * parse(fromDocument("@color = {red|blue}\nA {@color} shirt")) // "A red shirt", "A blue shirt"
+ */
+export function fromDocument(
+  document: string,
+  options?: DocumentOptions
+): string;
+
+/**
+ * Options for grouping values into chunks
+ */
+export interface ChunkOptions {
+  /** Text after every value; chunks are strings if given */
+  separator?: string;
+  /** Number of values per chunk; without a separator, chunks are arrays if given and single values if not */
+  batchSize?: number;
+}
+
+/**
+ * Groups the values of an iterable into chunks, yielding to the event loop regularly
+ * @example
+ * for await (const rows of chunks(parse("{a|b}{1,1000}"), { batchSize: 500 })) {
+ *   await db.insert(rows)
+ * }
+ * chunks(parse("{a|b}"), { separator: "\n" }) // "a\n", "b\n"
+ */
+export function chunks(
+  iterable: Iterable<any> | AsyncIterable<any>,
+  options?: ChunkOptions
+): AsyncGenerator<any>;
+
+/**
+ * Exposes the values of an iterable as a web ReadableStream of chunks,
+ * generating them only as the stream is read
+ * @example
+ * new Response(toReadableStream(parse("{a|b}{1,1000}"), { separator: "\n" }))
+ */
+export function toReadableStream(
+  iterable: Iterable<any> | AsyncIterable<any>,
+  options?: ChunkOptions
+): ReadableStream<any>;
+
+export default parse;